@@ -0,0 +1,142 @@
+/*!
+ * admonition.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var _ = require('easy-utils');
+
+
+// lib
+var mdOutliner = require('./markdown-outliner');
+
+
+/* -----------------------------------------------------------------------------
+ * admonition
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @namespace
+ *
+ * @desc Module used to render callout blocks (note, tip, warning, etc.).
+ *   Callouts can be written using github's blockquote syntax or fenced by
+ *   `:::`. Contents of both are regular markdown:
+ *
+ *   > [!WARNING] Optional title
+ *   > Contents
+ *
+ *   :::warning Optional title
+ *   Contents
+ *   :::
+ */
+var admonition = {};
+
+/**
+ * @public
+ * @memberof admonition
+ *
+ * @desc Convert `:::` fenced callouts to blockquote callouts so that marked
+ *   lexes their contents. Callouts within fenced code blocks are ignored.
+ *
+ * @param {string} markdown - Markdown contents.
+ */
+admonition.normalize = function (markdown) {
+  var lines  = markdown.split('\n');
+  var output = [];
+  var fence  = null;
+  var block  = null;
+  var match;
+
+  _.each(lines, function (line) {
+    var fenced = fence;
+
+    if (fence) {
+      fence = mdOutliner.closesFence(line, fence) ? null : fence;
+    } else if ((match = mdOutliner.openFence(line))) {
+      fence = match.fence;
+    }
+
+    if (fenced || fence) {
+      return (block ? block.lines : output).push(line);
+    }
+
+    if (!block && (match = /^ {0,3}:::[ \t]*(\w+)(?:[ \t]+(.*?))?[ \t]*$/.exec(line))) {
+      block = { open: line, header: '[!' + match[1] + ']' + (match[2] ? ' ' + match[2] : ''), lines: [] };
+    } else if (block && /^ {0,3}:::[ \t]*$/.test(line)) {
+      output.push.apply(output, _.map([block.header].concat(block.lines), function (line) {
+        return line ? '> ' + line : '>';
+      }));
+      block = null;
+    } else {
+      (block ? block.lines : output).push(line);
+    }
+  });
+
+  // leave unclosed callouts untouched.
+  if (block) {
+    output.push.apply(output, [block.open].concat(block.lines));
+  }
+
+  return output.join('\n');
+};
+
+/**
+ * @public
+ * @memberof admonition
+ *
+ * @desc Parse rendered blockquote html. Returns undefined for regular
+ *   blockquotes.
+ *
+ * @example
+ * admonition.parse('<p>[!TIP]\nUse it.</p>\n');
+ * // => { type: 'tip', title: 'Tip', contents: '<p>Use it.</p>\n' }
+ *
+ * @param {string} quote - Rendered blockquote contents.
+ */
+admonition.parse = function (quote) {
+  var match = /^<p>\[!(\w+)\](?:[ \t]+([^\n]*?))?(\n|<\/p>\n*)/.exec(quote);
+
+  if (!match) {
+    return;
+  }
+
+  var type = match[1].toLowerCase();
+
+  return {
+    type: type,
+    title: match[2] || type.charAt(0).toUpperCase() + type.slice(1),
+    // the remainder of the first paragraph has lost its opening tag.
+    contents: (match[3] === '\n' ? '<p>' : '') + quote.slice(match[0].length)
+  };
+};
+
+/**
+ * @public
+ * @memberof admonition
+ *
+ * @desc Default callout markup.
+ *
+ * @param {object} callout - Parsed callout (`type`, `title`, `contents`).
+ */
+admonition.render = function (callout) {
+  var tmpl = '';
+  tmpl += '<div class="admonition admonition-{{type}}">\n';
+  tmpl +=   '<p class="admonition-title">{{{title}}}</p>\n';
+  tmpl +=   '{{{contents}}}';
+  tmpl += '</div>\n';
+
+  return _.renderTmpl(tmpl, callout);
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = admonition;
\ No newline at end of file
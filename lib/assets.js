@@ -0,0 +1,180 @@
+/*!
+ * assets.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var fs     = require('fs');
+var path   = require('path');
+var crypto = require('crypto');
+
+// 3rd party
+var _ = require('easy-utils');
+
+
+// lib
+var mdOutliner = require('./markdown-outliner');
+
+
+/* -----------------------------------------------------------------------------
+ * assets
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @namespace
+ *
+ * @desc Module used to find local files (images, downloads, etc.) referenced
+ *   by sections so that they can be copied alongside the page. Urls within
+ *   `src`/`href` attributes and markdown links/images are considered assets
+ *   when they are relative and have an extension other than those of pages
+ *   and sections (`html`, `htm`, `md`, `hbs`).
+ */
+var assets = {};
+
+/**
+ * @private
+ * @memberof assets
+ *
+ * @desc Matches html attribute urls and markdown link destinations.
+ */
+assets._re = new RegExp([
+  '(\\s(?:src|href)=")([^"]*)(")',
+  '|(\\]\\()([^)\\s]+)((?:\\s+"[^"]*")?\\))'
+].join(''), 'g');
+
+/**
+ * @private
+ * @memberof assets
+ *
+ * @desc Extensions of files which are linked to rather than copied.
+ */
+assets._pageExts = ['html', 'htm', 'md', 'hbs'];
+
+/**
+ * @public
+ * @memberof assets
+ *
+ * @desc Replace every asset url within contents.
+ *
+ * @param {string} contents - Built section contents.
+ * @param {boolean} markdown - Wether contents are markdown rather than html.
+ *   Markdown links are only replaced within markdown.
+ * @param {function} fn - Function executed with every asset url (without
+ *   query and hash) which returns its replacement.
+ */
+assets.replace = function (contents, markdown, fn) {
+  return mdOutliner.replaceOutsideCode(contents, assets._re, function (match, attr, attrUrl, attrEnd, link, linkUrl, linkEnd) {
+    var before = attr || link;
+    var href = attr ? attrUrl : linkUrl;
+
+    if ((link && !markdown) || !assets.isAsset(href)) {
+      return match;
+    }
+
+    var url = assets.parse(href);
+    return before + fn(url.path) + url.suffix + (attr ? attrEnd : linkEnd);
+  });
+};
+
+/**
+ * @public
+ * @memberof assets
+ *
+ * @desc Retrieve every asset url within contents.
+ *
+ * @param {string} contents - Built section contents.
+ * @param {boolean} markdown - Wether contents are markdown rather than html.
+ */
+assets.find = function (contents, markdown) {
+  var urls = [];
+
+  assets.replace(contents, markdown, function (url) {
+    urls.push(url);
+    return url;
+  });
+
+  return _.uniq(urls);
+};
+
+/**
+ * @public
+ * @memberof assets
+ *
+ * @desc Determine if url references a local asset.
+ *
+ * @param {string} url - Attribute or link url.
+ */
+assets.isAsset = function (url) {
+  var ext = path.extname(assets.parse(url).path).slice(1).toLowerCase();
+
+  return !/^([a-z][\w+.-]*:|\/|#|\{\{)/i.test(url)
+    && !!ext
+    && !_.contains(assets._pageExts, ext);
+};
+
+/**
+ * @public
+ * @memberof assets
+ *
+ * @desc Split url into `path` and `suffix` (query and hash).
+ *
+ * @param {string} url - Attribute or link url.
+ */
+assets.parse = function (url) {
+  var match = /^([^?#]*)(.*)$/.exec(url);
+
+  return {
+    path: decodeURI(match[1]),
+    suffix: match[2]
+  };
+};
+
+/**
+ * @public
+ * @memberof assets
+ *
+ * @desc Create a content hash of a file.
+ *
+ * @param {string} filePath - Absolute path of file.
+ * @param {function} callback - Function executed with the hash.
+ */
+assets.hash = function (filePath, callback) {
+  fs.readFile(filePath, function (err, contents) {
+    callback(err, !err && crypto.createHash('sha1').update(contents).digest('hex'));
+  });
+};
+
+/**
+ * @public
+ * @memberof assets
+ *
+ * @desc Return destination filename, optionally inserting part of the content
+ *   hash before the extension.
+ *
+ * @example
+ * assets.fileName('img/arch.png', 'c1d9b7...', true); // => 'img/arch.c1d9b7ab.png'
+ *
+ * @param {string} fileName - Filename relative to the assets directory.
+ * @param {string} hash - Content hash of the file.
+ * @param {boolean} hashed - Wether to add the hash.
+ */
+assets.fileName = function (fileName, hash, hashed) {
+  var ext = path.extname(fileName);
+
+  return hashed
+    ? fileName.slice(0, -ext.length) + '.' + hash.slice(0, 8) + ext
+    : fileName;
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = assets;
\ No newline at end of file
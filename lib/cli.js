@@ -0,0 +1,427 @@
+/*!
+ * cli.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var fs   = require('fs');
+var path = require('path');
+
+// 3rd party
+var _     = require('easy-utils');
+var async = require('async');
+
+// lib
+var Page = require('./page');
+
+
+/* -----------------------------------------------------------------------------
+ * cli
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @namespace
+ *
+ * @desc Command line interface used to build pages described by a config
+ *   file (see `cli.usage`). Exits with `0` on success, `1` if a build fails
+ *   and `2` for invalid arguments or config.
+ */
+var cli = {};
+
+/**
+ * @public
+ * @memberof cli
+ *
+ * @desc Usage instructions.
+ */
+cli.usage = [
+  'Usage: easy-page [build] [config] [options]',
+  '',
+  'Build every page described by config (defaults to easy-page.json or',
+  'easy-page.js within the current directory).',
+  '',
+  'Options:',
+  '  -w, --watch      Rebuild pages whenever a dependency changes.',
+  '  -n, --dry-run    Render pages without writing them.',
+  '  -o, --out <dir>  Write pages to dir instead of config dest.',
+  '  -h, --help       Show this message.',
+  '  -v, --version    Show version.'
+].join('\n');
+
+/**
+ * @private
+ * @memberof cli
+ *
+ * @desc Config files looked up when none is specified.
+ */
+cli._defaults = ['easy-page.json', 'easy-page.js'];
+
+/**
+ * @public
+ * @memberof cli
+ *
+ * @desc Run cli.
+ *
+ * @param {array} argv - Command line arguments (without node and script).
+ * @param {object} io - Object containing `cwd`, `stdout` and `stderr`.
+ * @param {function} callback - Function executed with the exit code once
+ *   every page has been built. Never executed while watching.
+ */
+cli.run = function (argv, io, callback) {
+  var args;
+
+  try {
+    args = cli.parse(argv);
+  } catch (err) {
+    io.stderr.write('error: ' + err.message + '\n\n' + cli.usage + '\n');
+    return process.nextTick(_.partial(callback, 2));
+  }
+
+  if (args.out) {
+    args.out = path.resolve(io.cwd, args.out);
+  }
+
+  if (args.help || args.version) {
+    io.stdout.write((args.help ? cli.usage : require('../package.json').version) + '\n');
+    return process.nextTick(_.partial(callback, 0));
+  }
+
+  cli.load(args.config, io.cwd, function (err, config, filePath) {
+    var pages;
+
+    try {
+      pages = err ? null : cli.pages(config, path.dirname(filePath), args);
+    } catch (configErr) {
+      err = configErr;
+    }
+
+    if (err) {
+      io.stderr.write('error: ' + err.message + '\n');
+      return callback(2);
+    }
+
+    if (args.watch) {
+      return cli.watch(pages, io);
+    }
+
+    cli.build(pages, args.dryRun, io, function (err) {
+      if (err) {
+        io.stderr.write('error: ' + err.message + '\n');
+      }
+
+      callback(err ? 1 : 0);
+    });
+  });
+};
+
+/**
+ * @public
+ * @memberof cli
+ *
+ * @desc Parse command line arguments.
+ *
+ * @example
+ * cli.parse(['build', 'docs.json', '--out', 'site']);
+ * // => { command: 'build', config: 'docs.json', out: 'site', ... }
+ *
+ * @param {array} argv - Command line arguments.
+ */
+cli.parse = function (argv) {
+  var args = { command: 'build', config: null, out: null, watch: false, dryRun: false };
+  var positional = [];
+  var flags = {
+    '-w': 'watch', '--watch': 'watch',
+    '-n': 'dryRun', '--dry-run': 'dryRun',
+    '-h': 'help', '--help': 'help',
+    '-v': 'version', '--version': 'version'
+  };
+
+  argv = argv.slice();
+
+  while (argv.length) {
+    var arg = argv.shift();
+    var match = /^(--out)=(.*)$/.exec(arg);
+
+    if (match) {
+      args.out = match[2];
+    } else if (arg === '-o' || arg === '--out') {
+      if (!argv.length) {
+        throw new Error(arg + ' requires a directory');
+      }
+      args.out = argv.shift();
+    } else if (_.has(flags, arg)) {
+      args[flags[arg]] = true;
+    } else if (/^-/.test(arg)) {
+      throw new Error('unknown option ' + arg);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  if (positional[0] === 'build') {
+    positional.shift();
+  }
+
+  if (positional.length > 1) {
+    throw new Error('unexpected argument ' + positional[1]);
+  }
+
+  args.config = positional[0] || null;
+
+  return args;
+};
+
+/**
+ * @public
+ * @memberof cli
+ *
+ * @desc Load JSON or JS config file.
+ *
+ * @param {string} config - Path of config file relative to cwd. Defaults to
+ *   the first existing of `cli._defaults`.
+ * @param {string} cwd - Directory to resolve config relative to.
+ * @param {function} callback - Function executed with the config and its
+ *   absolute path.
+ */
+cli.load = function (config, cwd, callback) {
+  var candidates = _.map(config ? [config] : cli._defaults, function (fileName) {
+    return path.resolve(cwd, fileName);
+  });
+
+  var filePath = _.find(candidates, function (candidate) {
+    return fs.existsSync(candidate);
+  });
+
+  if (!filePath) {
+    return process.nextTick(function () {
+      callback(new Error('config not found: ' + _.map(candidates, function (candidate) {
+        return path.relative(cwd, candidate);
+      }).join(', ')));
+    });
+  }
+
+  if (path.extname(filePath) === '.js') {
+    return process.nextTick(function () {
+      var loaded;
+
+      try {
+        loaded = require(filePath);
+      } catch (err) {
+        return callback(new Error('could not load ' + filePath + ': ' + err.message));
+      }
+
+      callback(null, loaded, filePath);
+    });
+  }
+
+  _.readJsonFile(filePath, function (err, loaded) {
+    callback(err && new Error('could not parse ' + filePath + ': ' + err.message), loaded, filePath);
+  });
+};
+
+/**
+ * @public
+ * @memberof cli
+ *
+ * @desc Validate config returning a message per problem found.
+ *
+ * @param {object} config - Loaded config.
+ */
+cli.validate = function (config) {
+  var errors = [];
+
+  var check = function (valid, message) {
+    if (!valid) {
+      errors.push(message);
+    }
+  };
+
+  if (!_.isObject(config) || _.isArray(config)) {
+    return ['config must be an object'];
+  }
+
+  _.each(['root', 'docs', 'dest'], function (name) {
+    check(!_.has(config, name) || _.isString(config[name]), name + ' must be a string');
+  });
+
+  check(!_.has(config, 'data') || (_.isObject(config.data) && !_.isArray(config.data)), 'data must be an object');
+  check(_.isString(config.theme) || _.isObject(config.theme), 'theme is required');
+  check(!_.isObject(config.theme) || config.theme.extends || _.isString(config.theme.pageTmpl),
+    'theme.pageTmpl must be a string');
+
+  if (!_.isArray(config.pages) || !config.pages.length) {
+    errors.push('pages must be a non-empty array');
+  } else {
+    _.each(config.pages, function (page, i) {
+      var name = 'pages[' + i + ']';
+
+      check(_.isObject(page) && _.isString(page.fileName), name + '.fileName must be a string');
+      check(_.isObject(page) && _.isArray(page.sections) && _.every(page.sections, _.isString),
+        name + '.sections must be an array of strings');
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * @public
+ * @memberof cli
+ *
+ * @desc Create a `Page` per page of config. Config is passed to every page
+ *   as opts, `root` defaults to the config directory and theme paths are
+ *   resolved relative to `root`.
+ *
+ * @param {object} config - Loaded config.
+ * @param {string} dir - Directory containing the config file.
+ * @param {object} args - Parsed arguments (see `cli.parse`). `out` overrides
+ *   `dest` and should be absolute.
+ */
+cli.pages = function (config, dir, args) {
+  var errors = cli.validate(config);
+
+  if (errors.length) {
+    throw new Error('invalid config:\n  ' + errors.join('\n  '));
+  }
+
+  var opts = _.extend(_.omit(config, 'pages'), {
+    root: path.resolve(dir, config.root || '.')
+  });
+
+  if (args.out) {
+    opts.dest = args.out;
+  }
+
+  opts.theme = cli._resolveTheme(config.theme, opts.root);
+
+  return _.map(config.pages, function (page) {
+    return new Page(page, opts);
+  });
+};
+
+/**
+ * @public
+ * @memberof cli
+ *
+ * @desc Create (or only render) every page including its translations.
+ *
+ * @param {array} pages - Page instances.
+ * @param {boolean} dryRun - Render pages without writing them.
+ * @param {object} io - Object containing `cwd` and `stdout`.
+ * @param {function} callback - Function to execute once every page has been
+ *   built.
+ */
+cli.build = function (pages, dryRun, io, callback) {
+  async.eachSeries(pages, function (page, next) {
+    var all = [page].concat(page.translations);
+
+    if (!dryRun) {
+      return page.create(function (err) {
+        if (!err) {
+          _.each(all, function (page) {
+            io.stdout.write('wrote ' + cli._output(page, io.cwd) + '\n');
+          });
+        }
+
+        next(err);
+      });
+    }
+
+    async.eachSeries(all, function (page, next) {
+      page.render(function (err) {
+        if (!err) {
+          io.stdout.write('would write ' + cli._output(page, io.cwd) + '\n');
+        }
+
+        next(err);
+      });
+    }, next);
+  }, callback);
+};
+
+/**
+ * @public
+ * @memberof cli
+ *
+ * @desc Build and watch every page logging build results.
+ *
+ * @param {array} pages - Page instances.
+ * @param {object} io - Object containing `cwd`, `stdout` and `stderr`.
+ *
+ * @returns {array} watchers - Started `Watcher` instances.
+ */
+cli.watch = function (pages, io) {
+  return _.map(pages, function (page) {
+    var output = cli._output(page, io.cwd);
+
+    return page.watch()
+      .on('success', function () {
+        io.stdout.write('wrote ' + output + '\n');
+      })
+      .on('error', function (err) {
+        io.stderr.write('error: ' + err.message + '\n');
+      });
+  });
+};
+
+/**
+ * @private
+ * @memberof cli
+ *
+ * @desc Resolve theme template and partial paths relative to root. Theme
+ *   paths and package names are resolved by `Page` (see `themeLoader`).
+ *
+ * @param {string|object} theme - Config theme.
+ * @param {string} root - Absolute root path.
+ */
+cli._resolveTheme = function (theme, root) {
+  if (_.isString(theme)) {
+    return theme;
+  }
+
+  var resolve = function (filePath) {
+    return path.resolve(root, filePath);
+  };
+
+  theme = _.extend({}, theme);
+
+  if (theme.pageTmpl) {
+    theme.pageTmpl = resolve(theme.pageTmpl);
+  }
+
+  if (theme.sectionTmpl) {
+    theme.sectionTmpl = resolve(theme.sectionTmpl);
+  }
+
+  if (theme.partials) {
+    theme.partials = _.mapValues(theme.partials, resolve);
+  }
+
+  return theme;
+};
+
+/**
+ * @private
+ * @memberof cli
+ *
+ * @desc Return path of page output relative to cwd.
+ *
+ * @param {object} page - Page instance.
+ * @param {string} cwd - Current directory.
+ */
+cli._output = function (page, cwd) {
+  return path.relative(cwd, path.resolve(page.opts.dest, page.page.fileName));
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = cli;
\ No newline at end of file
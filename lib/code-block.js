@@ -0,0 +1,174 @@
+/*!
+ * code-block.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var _ = require('easy-utils');
+
+
+/* -----------------------------------------------------------------------------
+ * codeBlock
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @namespace
+ *
+ * @desc Module used to render fenced code blocks with optional syntax
+ *   highlighting, line numbers and highlighted lines.
+ */
+var codeBlock = {};
+
+/**
+ * @public
+ * @memberof codeBlock
+ *
+ * @desc Marked only captures the first word of a fence info string. Attach
+ *   line ranges directly to the language (```js {3,5-7} => ```js{3,5-7}) so
+ *   that they survive lexing.
+ *
+ * @param {string} markdown - Markdown contents.
+ */
+codeBlock.normalize = function (markdown) {
+  return markdown.replace(/^( *(?:`{3,}|~{3,})[ .]*[^\s{]+)[ \t]+(\{[\d,\s-]*\})[ \t]*$/gm, function (match, fence, ranges) {
+    return fence + ranges.replace(/\s+/g, '');
+  });
+};
+
+/**
+ * @public
+ * @memberof codeBlock
+ *
+ * @desc Split lexed language into name and highlighted line numbers.
+ *
+ * @example
+ * codeBlock.info('js{3,5-7}'); // => { lang: 'js', lines: [3, 5, 6, 7] }
+ *
+ * @param {string} lang - Language as lexed by marked.
+ */
+codeBlock.info = function (lang) {
+  var match = /^([^{]*)(?:\{([\d,-]*)\})?$/.exec(lang || '');
+  var lines = [];
+
+  if (!match) {
+    return { lang: lang, lines: lines };
+  }
+
+  _.each((match[2] || '').split(','), function (range) {
+    var bounds = range.split('-');
+    var start = parseInt(bounds[0], 10);
+    var end = parseInt(bounds[1] || bounds[0], 10);
+
+    for (var i = start; i <= end; i++) {
+      lines.push(i);
+    }
+  });
+
+  return { lang: match[1], lines: lines };
+};
+
+/**
+ * @public
+ * @memberof codeBlock
+ *
+ * @desc Render code block.
+ *
+ * @param {string} code - Raw code.
+ * @param {string} lang - Language as lexed by marked.
+ * @param {object} opts - Render options.
+ * @param {function} opts.highlight - Function executed with `code` and `lang`
+ *   which returns highlighted html. Returning null/undefined or throwing
+ *   falls back to escaped code.
+ * @param {boolean} opts.lineNumbers - Wrap every line and number it.
+ * @param {string} opts.langPrefix - Prefix of language class name.
+ */
+codeBlock.render = function (code, lang, opts) {
+  var info = codeBlock.info(lang);
+  var html = codeBlock.highlight(code, info.lang, opts.highlight);
+  var pre  = opts.lineNumbers ? ' class="line-numbers"' : '';
+  var attr = info.lang
+    ? ' class="' + (opts.langPrefix || 'lang-') + _.escape(info.lang) + '"'
+    : '';
+
+  if (opts.lineNumbers || info.lines.length) {
+    html = _.map(codeBlock.lines(html), function (line, i) {
+      var highlighted = _.contains(info.lines, i + 1) ? ' highlighted' : '';
+      return '<span class="line' + highlighted + '" data-line="' + (i + 1) + '">' + line + '</span>';
+    }).join('\n');
+  }
+
+  return '<pre' + pre + '><code' + attr + '>' + html + '\n</code></pre>\n';
+};
+
+/**
+ * @public
+ * @memberof codeBlock
+ *
+ * @desc Highlight code falling back to escaped code for unknown languages.
+ *
+ * @param {string} code - Raw code.
+ * @param {string} lang - Language name.
+ * @param {function} highlight - Optional highlight function.
+ */
+codeBlock.highlight = function (code, lang, highlight) {
+  var html;
+
+  if (highlight) {
+    try {
+      html = highlight(code, lang);
+    } catch (err) {
+      html = null;
+    }
+  }
+
+  return _.isString(html)
+    ? html
+    : _.escape(code);
+};
+
+/**
+ * @public
+ * @memberof codeBlock
+ *
+ * @desc Split html into lines. Tags spanning multiple lines (multiline
+ *   comments, strings, etc.) are closed at the end of each line and re-opened
+ *   at the start of the next so that every line is valid on its own.
+ *
+ * @param {string} html - Highlighted html.
+ */
+codeBlock.lines = function (html) {
+  var open = [];
+
+  return _.map(html.split('\n'), function (line) {
+    var prefix = open.join('');
+    var re = /<(\/)?([a-zA-Z][\w-]*)[^>]*>/g;
+    var match;
+
+    while ((match = re.exec(line))) {
+      if (match[1]) {
+        open.pop();
+      } else if (!/\/>$/.test(match[0])) {
+        open.push(match[0]);
+      }
+    }
+
+    var suffix = _.map(open.slice().reverse(), function (tag) {
+      return '</' + /^<([\w-]+)/.exec(tag)[1] + '>';
+    }).join('');
+
+    return prefix + line + suffix;
+  });
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = codeBlock;
\ No newline at end of file
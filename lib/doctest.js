@@ -0,0 +1,335 @@
+/*!
+ * doctest.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var vm   = require('vm');
+var util = require('util');
+
+// 3rd party
+var _ = require('easy-utils');
+
+
+// lib
+var mdOutliner = require('./markdown-outliner');
+
+
+/* -----------------------------------------------------------------------------
+ * doctest
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @namespace
+ *
+ * @desc Module used to verify runnable code samples within markdown. Fenced
+ *   `js` blocks marked as runnable (```js run) are executed in a sandboxed
+ *   context shared by all blocks of the same contents, in order. Results are
+ *   verified against:
+ *
+ *   - `// =>` comments: Value of the preceding code (`add(1, 2); // => 3`).
+ *   - A following `output` block: Everything logged using `console`.
+ *
+ * @example
+ * ```js run
+ * var total = [1, 2].reduce(function (a, b) { return a + b; });
+ * total; // => 3
+ * console.log('total', total);
+ * ```
+ *
+ * ```output
+ * total 3
+ * ```
+ */
+var doctest = {};
+
+/**
+ * @private
+ * @memberof doctest
+ *
+ * @desc Languages which can be run.
+ */
+doctest._langs = ['js', 'javascript'];
+
+/**
+ * @private
+ * @memberof doctest
+ *
+ * @desc Matches `// =>` expectations.
+ */
+doctest._expectRe = /^(.*?)\/\/\s*=>\s*(.*?)\s*$/;
+
+/**
+ * @public
+ * @memberof doctest
+ *
+ * @desc Run and verify every runnable block within contents.
+ *
+ * @param {string} contents - Markdown contents.
+ * @param {object} opts - Doctest opts.
+ * @param {object} opts.globals - Globals available to code samples.
+ * @param {number} opts.timeout - Milliseconds a block may run. Defaults to
+ *   1000.
+ * @param {boolean} opts.insertOutput - Insert an `output` block containing
+ *   the logged output after blocks which do not have one.
+ *
+ * @returns {object} result - Object containing `contents` (stripped of run
+ *   markers, see `strip`, with inserted output) and an array of `errors`.
+ *   Every error has a 1-based `lineNumber` relative to contents.
+ */
+doctest.verify = function (contents, opts) {
+  opts = opts || {};
+
+  var lines = contents.split('\n');
+  var blocks = _.filter(doctest.blocks(contents), function (block) {
+    return block.run;
+  });
+
+  var logged = [];
+  var errors = [];
+  var sandbox = vm.createContext(_.extend({}, opts.globals, {
+    console: doctest._console(logged)
+  }));
+
+  _.each(blocks, function (block) {
+    logged.length = 0;
+
+    _.each(doctest._segments(block), function (segment) {
+      var result = doctest._run(segment.code, sandbox, opts.timeout);
+
+      if (result.error) {
+        errors.push(doctest._error('threw ' + result.error, segment.line));
+      } else if (segment.expected !== undefined && !doctest._matches(result.value, segment.expected)) {
+        errors.push(doctest._error('expected ' + segment.expected + ' but got '
+          + doctest._format(result.value), segment.expectedLine));
+      }
+    });
+
+    var output = logged.join('\n');
+
+    if (block.output !== undefined && block.output.code.trim() !== output.trim()) {
+      errors.push(doctest._error('expected output ' + JSON.stringify(block.output.code.trim())
+        + ' but got ' + JSON.stringify(output.trim()), block.output.start + 1));
+    }
+
+    block.logged = output;
+  });
+
+  // insert from the bottom up so that line numbers remain valid.
+  if (opts.insertOutput) {
+    _.each(blocks.slice().reverse(), function (block) {
+      if (block.output === undefined && block.logged) {
+        lines.splice(block.end + 1, 0, '', '```output', block.logged, '```');
+      }
+    });
+  }
+
+  return {
+    contents: doctest.strip(lines.join('\n')),
+    errors: errors
+  };
+};
+
+/**
+ * @public
+ * @memberof doctest
+ *
+ * @desc Strip run markers so that runnable blocks render as regular code
+ *   blocks (```js run => ```js).
+ *
+ * @param {string} contents - Markdown contents.
+ */
+doctest.strip = function (contents) {
+  var lines = contents.split('\n');
+
+  _.each(doctest.blocks(contents), function (block) {
+    if (block.run) {
+      lines[block.start] = lines[block.start].replace(/[ \t]+run(?=\s|$)/, '');
+    }
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * @public
+ * @memberof doctest
+ *
+ * @desc Retrieve fenced code blocks within markdown contents.
+ *
+ * @param {string} contents - Markdown contents.
+ *
+ * @returns {array} blocks - Array of objects containing `lang`, `code`,
+ *   `start`/`end` (zero based lines of the fences), `run` and the block's
+ *   `output` block (if any).
+ */
+doctest.blocks = function (contents) {
+  var lines  = contents.split('\n');
+  var blocks = [];
+  var open   = null;
+  var fence;
+
+  _.each(lines, function (line, i) {
+    if (open) {
+      if (mdOutliner.closesFence(line, open.fence)) {
+        open.end = i;
+        open.code = lines.slice(open.start + 1, i).join('\n');
+        blocks.push(_.omit(open, 'fence'));
+        open = null;
+      }
+      return;
+    }
+
+    if ((fence = mdOutliner.openFence(line))) {
+      var info = /^([^\s{]*)(.*)$/.exec(fence.info);
+
+      open = {
+        fence: fence.fence,
+        lang: info[1],
+        run: _.contains(doctest._langs, info[1]) && /(^|\s)run(\s|$)/.test(info[2]),
+        start: i
+      };
+    }
+  });
+
+  // pair runnable blocks with an immediately following output block.
+  _.each(blocks, function (block, i) {
+    var next = blocks[i + 1];
+    var between = next && lines.slice(block.end + 1, next.start).join('').trim();
+
+    if (block.run && next && next.lang === 'output' && !between) {
+      block.output = next;
+    }
+  });
+
+  return blocks;
+};
+
+/**
+ * @private
+ * @memberof doctest
+ *
+ * @desc Split block into segments ending at every `// =>` expectation.
+ *
+ * @param {object} block - Code block.
+ */
+doctest._segments = function (block) {
+  var segments = [];
+  var current = { code: [], line: block.start + 2 };
+
+  _.each(block.code.split('\n'), function (line, i) {
+    var match = doctest._expectRe.exec(line);
+    var lineNumber = block.start + 2 + i;
+
+    if (!match) {
+      return current.code.push(line);
+    }
+
+    current.code.push(match[1]);
+    segments.push(_.extend(current, {
+      expected: match[2],
+      expectedLine: lineNumber
+    }));
+
+    current = { code: [], line: lineNumber + 1 };
+  });
+
+  segments.push(current);
+
+  return _.map(segments, function (segment) {
+    return _.extend(segment, { code: segment.code.join('\n') });
+  });
+};
+
+/**
+ * @private
+ * @memberof doctest
+ *
+ * @desc Run code within sandbox.
+ *
+ * @param {string} code - Code to run.
+ * @param {object} sandbox - Contextified sandbox.
+ * @param {number} timeout - Milliseconds the code may run.
+ *
+ * @returns {object} result - Object containing the completion `value` or the
+ *   `error` thrown.
+ */
+doctest._run = function (code, sandbox, timeout) {
+  try {
+    return { value: vm.runInContext(code, sandbox, { timeout: timeout || 1000 }) };
+  } catch (err) {
+    return { error: String(err) };
+  }
+};
+
+/**
+ * @private
+ * @memberof doctest
+ *
+ * @desc Create console capturing everything logged.
+ *
+ * @param {array} logged - Array to push logged lines to.
+ */
+doctest._console = function (logged) {
+  var log = function () {
+    logged.push(util.format.apply(util, arguments));
+  };
+
+  return { log: log, info: log, warn: log, error: log };
+};
+
+/**
+ * @private
+ * @memberof doctest
+ *
+ * @desc Determine if value matches the expected representation. Strings may
+ *   be quoted with either single or double quotes.
+ *
+ * @param {*} value - Completion value.
+ * @param {string} expected - Expected representation.
+ */
+doctest._matches = function (value, expected) {
+  var normalize = function (str) {
+    return String(str).replace(/\s+/g, ' ').trim();
+  };
+
+  return _.contains([doctest._format(value), JSON.stringify(value)], normalize(expected));
+};
+
+/**
+ * @private
+ * @memberof doctest
+ *
+ * @desc Format value on a single line.
+ *
+ * @param {*} value - Completion value.
+ */
+doctest._format = function (value) {
+  return util.inspect(value, { depth: null, breakLength: Infinity }).replace(/\s+/g, ' ');
+};
+
+/**
+ * @private
+ * @memberof doctest
+ *
+ * @desc Create failure located at line.
+ *
+ * @param {string} message - Failure description.
+ * @param {number} line - 1-based line number.
+ */
+doctest._error = function (message, line) {
+  return _.extend(new Error('doctest ' + message), { lineNumber: line });
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = doctest;
\ No newline at end of file
@@ -0,0 +1,123 @@
+/*!
+ * front-matter.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var _    = require('easy-utils');
+var yaml = require('js-yaml');
+
+
+/* -----------------------------------------------------------------------------
+ * frontMatter
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @namespace
+ *
+ * @desc Module used to separate a front matter block from section contents.
+ */
+var frontMatter = {};
+
+/**
+ * @private
+ * @memberof frontMatter
+ *
+ * @desc Matches a leading block fenced by `---` (YAML) or `;;;` (JSON).
+ */
+frontMatter._re = /^\uFEFF?(---|;;;)[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?\1[ \t]*(?:\r?\n|$)/;
+
+/**
+ * @public
+ * @memberof frontMatter
+ *
+ * @desc Split contents into parsed front matter attributes and the remaining
+ *   body. Contents without a front matter block are returned untouched.
+ *
+ * @example
+ * frontMatter.parse('---\ntitle: Intro\n---\n# Intro');
+ * // => { attributes: { title: 'Intro' }, body: '# Intro' }
+ *
+ * @param {string} contents - Section contents.
+ *
+ * @returns {object} parsed - Object containing `attributes` and `body`.
+ */
+frontMatter.parse = function (contents) {
+  var match = frontMatter._re.exec(contents);
+  var attributes = match
+    ? frontMatter._load(match[2] || '', match[1])
+    : {};
+
+  return {
+    attributes: frontMatter._normalize(attributes),
+    body: match ? contents.slice(match[0].length) : contents
+  };
+};
+
+/**
+ * @public
+ * @memberof frontMatter
+ *
+ * @desc Return copy of attributes with defaults for the attributes themes
+ *   rely on (`tags`, `hidden`). Only applied to exposed section metadata so
+ *   that sections do not hide page data of the same name.
+ *
+ * @param {object} attributes - Parsed front matter attributes.
+ */
+frontMatter.defaults = function (attributes) {
+  return _.defaults({}, attributes, {
+    tags: [],
+    hidden: false
+  });
+};
+
+/**
+ * @private
+ * @memberof frontMatter
+ *
+ * @desc Parse raw front matter block. JSON is valid YAML so both fences are
+ *   parsed identically apart from the JSON fence being held to strict JSON.
+ *
+ * @param {string} block - Raw front matter contents.
+ * @param {string} fence - Fence used to delimit the block.
+ */
+frontMatter._load = function (block, fence) {
+  var attributes = fence === ';;;'
+    ? JSON.parse('{' + block.replace(/^\s*\{|\}\s*$/g, '') + '}')
+    : yaml.safeLoad(block);
+
+  if (attributes && !_.isObject(attributes) || _.isArray(attributes)) {
+    throw new Error('front matter must be an object.');
+  }
+
+  return attributes || {};
+};
+
+/**
+ * @private
+ * @memberof frontMatter
+ *
+ * @desc Standardize comma separated `tags`.
+ *
+ * @param {object} attributes - Parsed front matter attributes.
+ */
+frontMatter._normalize = function (attributes) {
+  if (_.isString(attributes.tags)) {
+    attributes.tags = attributes.tags.split(/\s*,\s*/);
+  }
+
+  return attributes;
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = frontMatter;
\ No newline at end of file
@@ -0,0 +1,23 @@
+/*!
+ * index.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// lib
+var Page = require('./page');
+var Site = require('./site');
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+// `Page` remains the entry point, `Site` builds multiple pages.
+Page.Site = Site;
+
+module.exports = Page;
\ No newline at end of file
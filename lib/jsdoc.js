@@ -0,0 +1,369 @@
+/*!
+ * jsdoc.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var _ = require('easy-utils');
+
+
+/* -----------------------------------------------------------------------------
+ * jsdoc
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @namespace
+ *
+ * @desc Module used to build API references from JSDoc comments. Supports the
+ *   tags used throughout this project: `@desc`, `@param` (or `@params`),
+ *   `@returns`, `@example`, `@memberof`, `@constructor`, `@namespace` and
+ *   `@public`/`@private`. Names and owners are taken from the assignment
+ *   following each comment when not specified.
+ */
+var jsdoc = {};
+
+/**
+ * @public
+ * @memberof jsdoc
+ *
+ * @desc Default markdown template used to render API sections. Themes can
+ *   override it using an `api` partial which receives the same data (see
+ *   `Page.prototype._renderApi`).
+ */
+jsdoc.tmpl = [
+  '{{#each classes}}',
+  '# {{{name}}}',
+  '',
+  '{{#if signature}}',
+  '`{{{signature}}}`',
+  '',
+  '{{/if}}',
+  '{{#if desc}}',
+  '{{{desc}}}',
+  '',
+  '{{/if}}',
+  '{{#if params.length}}',
+  '| Param | Type | Description |',
+  '| --- | --- | --- |',
+  '{{#each params}}',
+  '| `{{{name}}}` | {{{apiCell type true}}} | {{{apiCell desc}}} |',
+  '{{/each}}',
+  '',
+  '{{/if}}',
+  '{{#each examples}}',
+  '```js',
+  '{{{this}}}',
+  '```',
+  '',
+  '{{/each}}',
+  '{{#each members}}',
+  '## {{{heading}}}',
+  '',
+  '{{#if desc}}',
+  '{{{desc}}}',
+  '',
+  '{{/if}}',
+  '{{#if params.length}}',
+  '| Param | Type | Description |',
+  '| --- | --- | --- |',
+  '{{#each params}}',
+  '| `{{{name}}}` | {{{apiCell type true}}} | {{{apiCell desc}}} |',
+  '{{/each}}',
+  '',
+  '{{/if}}',
+  '{{#if returns}}',
+  '**Returns** {{{apiCell returns.type true}}} {{{returns.desc}}}',
+  '',
+  '{{/if}}',
+  '{{#each examples}}',
+  '```js',
+  '{{{this}}}',
+  '```',
+  '',
+  '{{/each}}',
+  '{{/each}}',
+  '{{/each}}'
+].join('\n');
+
+/**
+ * @public
+ * @memberof jsdoc
+ *
+ * @desc Helpers available to API templates.
+ *
+ *   - `apiCell`: Make text safe to use within a markdown table cell. Pass
+ *     `true` as second argument to format text as code.
+ */
+jsdoc.helpers = {
+  apiCell: function (text, code) {
+    text = String(text || '').replace(/\s+/g, ' ').trim();
+
+    return code === true
+      ? (text ? '<code>' + _.escape(text).replace(/\|/g, '&#124;') + '</code>' : '')
+      : text.replace(/\|/g, '&#124;');
+  }
+};
+
+/**
+ * @public
+ * @memberof jsdoc
+ *
+ * @desc Parse every JSDoc comment (`/** ... *\/`) within source.
+ *
+ * @param {string} source - Javascript source.
+ *
+ * @returns {array} docs - Array of parsed comments (see `jsdoc._doc`).
+ */
+jsdoc.parse = function (source) {
+  var re = /\/\*\*(?!\/)([\s\S]*?)\*\/[ \t]*\n?([^\n]*)/g;
+  var docs = [];
+  var match;
+
+  while ((match = re.exec(source))) {
+    docs.push(jsdoc._doc(match[1], match[2]));
+  }
+
+  return docs;
+};
+
+/**
+ * @public
+ * @memberof jsdoc
+ *
+ * @desc Group parsed comments by the class or namespace they belong to.
+ *   Members without an owner are listed as classes of their own.
+ *
+ * @param {array} docs - Parsed comments (see `parse`).
+ * @param {object} opts - Group opts.
+ * @param {boolean} opts.private - Include private members.
+ *
+ * @returns {array} classes - Array of class docs, each containing the docs
+ *   of its `members` in source order.
+ */
+jsdoc.group = function (docs, opts) {
+  var visible = _.filter(docs, function (doc) {
+    return doc.name && (doc.access !== 'private' || (opts && opts.private));
+  });
+
+  var classes = [];
+  var owners = {};
+
+  _.each(visible, function (doc) {
+    if (doc.memberof) {
+      return;
+    }
+
+    owners[doc.name] = _.extend({}, doc, { members: [] });
+    classes.push(owners[doc.name]);
+  });
+
+  _.each(visible, function (doc) {
+    if (!doc.memberof) {
+      return;
+    }
+
+    // members of undocumented (or hidden) owners are dropped.
+    if (_.has(owners, doc.memberof)) {
+      owners[doc.memberof].members.push(doc);
+    }
+  });
+
+  return classes;
+};
+
+/**
+ * @private
+ * @memberof jsdoc
+ *
+ * @desc Parse comment and the line of code following it.
+ *
+ * @param {string} comment - Comment body (without delimiters).
+ * @param {string} code - Line of code following the comment.
+ *
+ * @returns {object} doc - Object containing `name`, `memberof`, `kind`
+ *   (`class`, `namespace`, `function` or `property`), `static`, `access`,
+ *   `desc`, `params`, `returns`, `examples`, `signature` and `heading`.
+ */
+jsdoc._doc = function (comment, code) {
+  var doc = _.extend({
+    access: 'public',
+    desc: '',
+    params: [],
+    returns: null,
+    examples: []
+  }, jsdoc._code(code));
+
+  _.each(jsdoc._tags(comment), function (tag) {
+    switch (tag.name) {
+      case 'desc':
+      case 'description':
+        doc.desc = tag.text;
+        break;
+      case 'param':
+      case 'params':
+        doc.params.push(jsdoc._param(tag.text));
+        break;
+      case 'returns':
+      case 'return':
+        doc.returns = jsdoc._param(tag.text);
+        break;
+      case 'example':
+        doc.examples.push(tag.text);
+        break;
+      case 'memberof':
+        doc.memberof = tag.text;
+        break;
+      case 'name':
+        doc.name = tag.text;
+        break;
+      case 'public':
+      case 'private':
+        doc.access = tag.name;
+        break;
+      case 'constructor':
+      case 'class':
+        doc.kind = 'class';
+        break;
+      case 'namespace':
+        doc.kind = 'namespace';
+        break;
+    }
+  });
+
+  var args = _.pluck(_.filter(doc.params, function (param) {
+    return param.name.indexOf('.') === -1;
+  }), 'name').join(', ');
+
+  var callable = doc.kind === 'class' || doc.kind === 'function';
+  var owner = doc.static && doc.memberof ? doc.memberof + '.' : '';
+
+  doc.signature = callable
+    ? (doc.kind === 'class' ? 'new ' : '') + doc.name + '(' + args + ')'
+    : null;
+
+  doc.heading = owner + doc.name + (doc.kind === 'function' ? '(' + args + ')' : '');
+
+  return doc;
+};
+
+/**
+ * @private
+ * @memberof jsdoc
+ *
+ * @desc Retrieve name, owner and kind from the assignment following a
+ *   comment.
+ *
+ * @example
+ * jsdoc._code('Page.prototype.create = function (callback) {');
+ * // => { name: 'create', memberof: 'Page', kind: 'function', static: false }
+ *
+ * @param {string} code - Line of code.
+ */
+jsdoc._code = function (code) {
+  var match;
+
+  var kind = function (value) {
+    return /^\s*function\b/.test(value) ? 'function' : 'property';
+  };
+
+  if ((match = /^\s*(?:var\s+)?([\w$]+)\.prototype\.([\w$]+)\s*=\s*(.*)$/.exec(code))) {
+    return { name: match[2], memberof: match[1], kind: kind(match[3]), static: false };
+  }
+
+  if ((match = /^\s*([\w$.]+)\.([\w$]+)\s*=\s*(.*)$/.exec(code))) {
+    return { name: match[2], memberof: match[1], kind: kind(match[3]), static: true };
+  }
+
+  if ((match = /^\s*(?:var\s+)?([\w$]+)\s*=\s*(.*)$/.exec(code))) {
+    return { name: match[1], kind: kind(match[2]), static: true };
+  }
+
+  if ((match = /^\s*function\s+([\w$]+)/.exec(code))) {
+    return { name: match[1], kind: 'function', static: true };
+  }
+
+  return { kind: 'property', static: true };
+};
+
+/**
+ * @private
+ * @memberof jsdoc
+ *
+ * @desc Split comment into tags. Text preceding the first tag is treated as
+ *   `desc`. Continuation lines are dedented so that lists and examples keep
+ *   their relative indentation.
+ *
+ * @param {string} comment - Comment body (without delimiters).
+ */
+jsdoc._tags = function (comment) {
+  var tags = [];
+  var current = { name: 'desc', lines: [] };
+
+  _.each(comment.split('\n'), function (line) {
+    var match;
+
+    line = line.replace(/^\s*\* ?/, '');
+
+    if ((match = /^@(\w+)\s*(.*)$/.exec(line))) {
+      tags.push(current);
+      current = { name: match[1], lines: [match[2]] };
+    } else {
+      current.lines.push(line);
+    }
+  });
+
+  tags.push(current);
+
+  return _.map(tags, function (tag) {
+    var rest = tag.lines.slice(1);
+    var indent = _.min(_.map(_.filter(rest, function (line) {
+      return line.trim();
+    }), function (line) {
+      return /^\s*/.exec(line)[0].length;
+    }));
+
+    var lines = [tag.lines[0]].concat(_.map(rest, function (line) {
+      return line.slice(_.isFinite(indent) ? indent : 0);
+    }));
+
+    return {
+      name: tag.name,
+      text: lines.join('\n').replace(/^\s*\n|\s+$/g, '')
+    };
+  });
+};
+
+/**
+ * @private
+ * @memberof jsdoc
+ *
+ * @desc Parse `{type} name - description` of param and returns tags. Optional
+ *   params may be wrapped in brackets (`[opts]`).
+ *
+ * @param {string} text - Tag text.
+ */
+jsdoc._param = function (text) {
+  var match = /^(?:\{([^}]*)\}\s*)?(\[[^\]]*\]|[\w$.]+)?\s*(?:-\s*)?([\s\S]*)$/.exec(text);
+  var name = match[2] || '';
+  var optional = /^\[/.test(name);
+
+  return {
+    name: name.replace(/^\[|\]$/g, '').split('=')[0],
+    type: match[1] || '',
+    desc: match[3].replace(/\s+/g, ' ').trim(),
+    optional: optional
+  };
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = jsdoc;
\ No newline at end of file
@@ -0,0 +1,278 @@
+/*!
+ * linker.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var path = require('path');
+
+// 3rd party
+var _ = require('easy-utils');
+
+// lib
+var Slugger    = require('./slugger');
+var mdOutliner = require('./markdown-outliner');
+
+
+/* -----------------------------------------------------------------------------
+ * linker
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @namespace
+ *
+ * @desc Module used to resolve links between sections. Sections can be linked
+ *   to using their key with or without extensions, optionally followed by the
+ *   id the heading would have if the section was rendered on its own:
+ *
+ *   - `[see config](section-2.md#options)`
+ *   - `[[section-2#options]]` or `[[section-2#options|see config]]`
+ */
+var linker = {};
+
+/**
+ * @private
+ * @memberof linker
+ *
+ * @desc Matches `[[target#anchor|text]]` references.
+ */
+linker._wikiRe = /\[\[([^\]|#]*)(?:#([^\]|]*))?(?:\|([^\]]*))?\]\]/g;
+
+/**
+ * @private
+ * @memberof linker
+ *
+ * @desc Matches html anchor hrefs.
+ */
+linker._htmlRe = /(<a\s[^>]*?href=")([^"]*)(")/g;
+
+/**
+ * @private
+ * @memberof linker
+ *
+ * @desc Matches markdown inline link destinations.
+ */
+linker._mdRe = /(\]\()([^)\s]+)((?:\s+"[^"]*")?\))/g;
+
+/**
+ * @private
+ * @memberof linker
+ *
+ * @desc Extensions of the default transformers (see `transformers`).
+ */
+linker._extensions = ['hbs', 'md', 'js'];
+
+/**
+ * @public
+ * @memberof linker
+ *
+ * @desc Create a reference map for built sections. Each entry maps the ids
+ *   headings would have when rendered on their own to the ids they were
+ *   actually given on the page.
+ *
+ * @param {array} sections - Array of `{ key, meta, history }` objects where
+ *   `history` is the slugger history recorded while building the section.
+ * @param {function} slugFn - Slug function used to create page ids.
+ * @param {string} url - Url of the page the sections are rendered on.
+ *
+ * @returns {object} refs - Map of section key to `{ url, title, first, ids }`.
+ */
+linker.refs = function (sections, slugFn, url) {
+  var refs = {};
+
+  _.each(sections, function (section) {
+    var slugger = new Slugger(slugFn);
+    var ids = {};
+
+    _.each(section.history, function (entry) {
+      ids[slugger.slug(entry.text)] = { id: entry.slug, text: entry.text };
+    });
+
+    // sections listed multiple times resolve to their first occurence.
+    if (!_.has(refs, section.key)) {
+      refs[section.key] = {
+        url: url || '',
+        title: (section.meta && section.meta.title)
+          || (section.history[0] && section.history[0].text)
+          || section.key,
+        first: section.history[0] && section.history[0].slug,
+        ids: ids
+      };
+    }
+  });
+
+  return refs;
+};
+
+/**
+ * @public
+ * @memberof linker
+ *
+ * @desc Rewrite section references within contents. References within code
+ *   are left untouched.
+ *
+ * @param {string} contents - Built section contents.
+ * @param {object} refs - Reference map (see `linker.refs`). Entries with a
+ *   `url` are linked to on that page, entries without are linked to by id.
+ * @param {boolean} markdown - Wether contents are markdown rather than html.
+ * @param {array} extensions - Extensions which have a transformer. Links with
+ *   any other extension only reference sections having that same extension.
+ *   Defaults to the extensions of the default transformers.
+ *
+ * @returns {object} result - Object containing rewritten `contents` and an
+ *   array of `broken` links (`{ link, reason }`).
+ */
+linker.resolve = function (contents, refs, markdown, extensions) {
+  var broken = [];
+
+  extensions = extensions || linker._extensions;
+
+  var report = function (link, reason) {
+    broken.push({ link: link, reason: reason });
+  };
+
+  contents = mdOutliner.replaceOutsideCode(contents, markdown ? linker._mdRe : linker._htmlRe, function (match, before, href, after) {
+    var target = linker._parse(href, extensions);
+    var resolved = target && linker._find(target, refs, href, report);
+
+    return resolved
+      ? before + resolved.href + after
+      : match;
+  });
+
+  contents = mdOutliner.replaceOutsideCode(contents, linker._wikiRe, function (match, key, anchor, text) {
+    // table of contents markers (see `toc`).
+    if (/^TOC\b/.test(key)) {
+      return match;
+    }
+
+    var target = _.extend(linker._target(key.trim(), anchor && anchor.trim(), extensions), {
+      explicit: true
+    });
+    var resolved = linker._find(target, refs, match, report);
+
+    if (!resolved) {
+      return match;
+    }
+
+    text = text ? text.trim() : resolved.text;
+
+    return markdown
+      ? '[' + text + '](' + resolved.href + ')'
+      : '<a href="' + resolved.href + '">' + _.escape(text) + '</a>';
+  });
+
+  return { contents: contents, broken: broken };
+};
+
+/**
+ * @private
+ * @memberof linker
+ *
+ * @desc Parse href into a target (see `_target`). Returns undefined for hrefs
+ *   which can not reference a section (absolute urls, paths and hashes).
+ *
+ * @param {string} href - Link href.
+ * @param {array} extensions - Extensions which have a transformer.
+ */
+linker._parse = function (href, extensions) {
+  if (/^([a-z][\w+.-]*:|\/|#)/i.test(href)) {
+    return;
+  }
+
+  var parts = href.split('#');
+
+  return linker._target(parts[0], parts[1], extensions);
+};
+
+/**
+ * @private
+ * @memberof linker
+ *
+ * @desc Create link target. Targets are `explicit` (reported when they can
+ *   not be resolved) when all of their extensions have a transformer. Any
+ *   other extensions are `foreign` (`install.pdf`) and have to be part of the
+ *   referenced section key.
+ *
+ * @param {string} key - Linked section key.
+ * @param {string} anchor - Linked heading id.
+ * @param {array} extensions - Extensions which have a transformer.
+ */
+linker._target = function (key, anchor, extensions) {
+  var exts = path.basename(key).split('.').slice(1);
+  var foreign = _.difference(exts, extensions);
+
+  return {
+    key: key,
+    anchor: anchor,
+    explicit: exts.length > 0 && !foreign.length,
+    foreign: foreign
+  };
+};
+
+/**
+ * @private
+ * @memberof linker
+ *
+ * @desc Find reference for target and build href. Explicit targets which can
+ *   not be resolved are reported, any other target is assumed to be a regular
+ *   relative link.
+ *
+ * @param {object} target - Link target (see `_target`).
+ * @param {object} refs - Reference map.
+ * @param {string} link - Original link (for reporting).
+ * @param {function} report - Function executed with broken links.
+ */
+linker._find = function (target, refs, link, report) {
+  var name = linker._name(target.key);
+  var key = _.find(_.keys(refs), function (key) {
+    var exts = path.basename(key).split('.').slice(1);
+
+    return linker._name(key) === name
+      && !_.difference(target.foreign, exts).length;
+  });
+
+  if (!key) {
+    return target.explicit && report(link, 'unknown section');
+  }
+
+  var ref = refs[key];
+  var heading = target.anchor
+    ? (_.has(ref.ids, target.anchor) && ref.ids[target.anchor])
+      || _.findWhere(_.values(ref.ids), { id: target.anchor })
+    : { id: ref.first, text: ref.title };
+
+  if (!heading || !heading.id) {
+    return report(link, target.anchor ? 'unknown heading' : 'section has no headings');
+  }
+
+  return {
+    href: ref.url + '#' + heading.id,
+    text: target.anchor ? heading.text : ref.title
+  };
+};
+
+/**
+ * @private
+ * @memberof linker
+ *
+ * @desc Standardize section key by stripping extensions.
+ *
+ * @param {string} key - Section key or link target.
+ */
+linker._name = function (key) {
+  return path.normalize(key).replace(/\.[^\/]*$/, '');
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = linker;
\ No newline at end of file
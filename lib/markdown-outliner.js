@@ -0,0 +1,283 @@
+/*!
+ * markdown-outliner.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var _      = require('easy-utils');
+var marked = require('marked');
+
+// lib
+var Slugger = require('./slugger');
+
+
+/* -----------------------------------------------------------------------------
+ * markdownOutliner
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @namespace
+ *
+ * @desc Module used to create document outlines based on markdown headings.
+ *   Mirrors the output of `easy-outliner` so that outlines can be used
+ *   interchangeably regardless of `opts.compile`.
+ */
+var markdownOutliner = {};
+
+/**
+ * @public
+ * @memberof markdownOutliner
+ *
+ * @desc Create a document outline based on ATX (`# h1`) and setext
+ *   (`h1\n===`) headings. Headings within fenced code blocks are ignored.
+ *
+ * @example
+ * markdownOutliner.outline('# 1\n## 2', 3, new Slugger());
+ *
+ * @param {string} contents - Markdown contents as a string.
+ * @param {number} depth - Deepest heading level to include.
+ * @param {object} slugger - Slugger used to generate heading urls.
+ *
+ * @returns {array} outline - Outline tree.
+ */
+markdownOutliner.outline = function (contents, depth, slugger) {
+  var headings = markdownOutliner.headings(contents);
+  var outline  = [];
+  var previous = outline;
+
+  slugger = slugger || new Slugger();
+  depth = depth || 6;
+
+  headings.forEach(function (heading) {
+    var text = markdownOutliner.text(heading.raw);
+
+    // slug every heading (regardless of depth) so that ids match the ids
+    // github will generate for the same document.
+    var current = {
+      level: heading.level,
+      text: text,
+      url: '#' + slugger.slug(text),
+      children: []
+    };
+
+    if (current.level > depth) {
+      return;
+    }
+
+    var parent   = markdownOutliner._parent(current, previous);
+    var location = parent.children ? parent.children : parent;
+
+    // save a reference to our parent so that we are able
+    // to traverse back up the tree.
+    current.parent = parent;
+
+    location.push(current);
+    previous = current;
+  });
+
+  return outline;
+};
+
+/**
+ * @public
+ * @memberof markdownOutliner
+ *
+ * @desc Retrieve a flat list of headings found in markdown contents.
+ *
+ * @param {string} contents - Markdown contents as a string.
+ *
+ * @returns {array} headings - Array of objects containing `level`, `raw`
+ *   (unparsed heading text) and `line` (zero based line number).
+ */
+markdownOutliner.headings = function (contents) {
+  var lines    = contents.split(/\r?\n/);
+  var headings = [];
+  var fence    = null;
+  var match;
+
+  lines.forEach(function (line, i) {
+    var next = lines[i + 1];
+
+    // skip everything within fenced code blocks
+    if (fence) {
+      if (markdownOutliner.closesFence(line, fence)) {
+        fence = null;
+      }
+      return;
+    }
+
+    if ((match = markdownOutliner.openFence(line))) {
+      fence = match.fence;
+      return;
+    }
+
+    if ((match = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/.exec(line))) {
+      headings.push({ level: match[1].length, raw: match[2] || '', line: i });
+
+    } else if (next !== undefined && markdownOutliner._isParagraph(line)
+      && (match = /^ {0,3}(=+|-+)[ \t]*$/.exec(next))) {
+      headings.push({ level: match[1][0] === '=' ? 1 : 2, raw: line.trim(), line: i });
+      lines[i + 1] = '';
+    }
+  });
+
+  return headings;
+};
+
+/**
+ * @public
+ * @memberof markdownOutliner
+ *
+ * @desc Convert raw heading markdown to plain text.
+ *
+ * @param {string} raw - Unparsed heading text.
+ */
+markdownOutliner.text = function (raw) {
+  return Slugger.text(marked.inlineLexer(raw, {}));
+};
+
+/**
+ * @private
+ * @memberof markdownOutliner
+ *
+ * @desc Determine if line could be the text of a setext heading.
+ *
+ * @param {string} line - Line to test.
+ */
+markdownOutliner._isParagraph = function (line) {
+  return !!line.trim()
+    && !/^ {4,}/.test(line)
+    && !/^ {0,3}(>|[-*+] |\d+[.)] |<)/.test(line);
+};
+
+/**
+ * @public
+ * @memberof markdownOutliner
+ *
+ * @desc Determine if line opens a code fence.
+ *
+ * @example
+ * markdownOutliner.openFence('```js run'); // => { fence: '```', info: 'js run' }
+ *
+ * @param {string} line - Line to test.
+ *
+ * @returns {object} fence - Object containing the opening `fence` and its
+ *   `info` string, or null.
+ */
+markdownOutliner.openFence = function (line) {
+  var match = /^ {0,3}(`{3,}|~{3,})(.*)$/.exec(line);
+
+  // backtick fences can not contain backticks in their info string.
+  if (!match || (match[1][0] === '`' && match[2].indexOf('`') !== -1)) {
+    return null;
+  }
+
+  return { fence: match[1], info: match[2].trim() };
+};
+
+/**
+ * @public
+ * @memberof markdownOutliner
+ *
+ * @desc Determine if line closes the currently open code fence.
+ *
+ * @param {string} line - Line to test.
+ * @param {string} fence - Opening fence.
+ */
+markdownOutliner.closesFence = function (line, fence) {
+  var match = /^ {0,3}(`{3,}|~{3,})[ \t]*$/.exec(line);
+
+  return !!match
+    && match[1][0] === fence[0]
+    && match[1].length >= fence.length;
+};
+
+/**
+ * @private
+ * @memberof markdownOutliner
+ *
+ * @desc Matches code which should be left untouched: `pre` and `code`
+ *   elements, fenced code blocks (unclosed fences run to the end of contents)
+ *   and inline code spans. Wrapped in a single group containing the fence
+ *   groups referenced by the closing fences.
+ */
+markdownOutliner._codeRe = new RegExp([
+  '(<pre\\b[\\s\\S]*?<\\/pre>|<code\\b[\\s\\S]*?<\\/code>',
+  '|^ {0,3}(`{3,})[^`\\n]*$[\\s\\S]*?(?:^ {0,3}\\2`*[ \\t]*$|(?![\\s\\S]))',
+  '|^ {0,3}(~{3,}).*$[\\s\\S]*?(?:^ {0,3}\\3~*[ \\t]*$|(?![\\s\\S]))',
+  '|`[^`\\n]+`)'
+].join(''), 'm');
+
+/**
+ * @public
+ * @memberof markdownOutliner
+ *
+ * @desc Replace matches of a pattern within markdown or html contents while
+ *   leaving code (see `_codeRe`) untouched. Patterns are matched globally and
+ *   multiline.
+ *
+ * @example
+ * markdownOutliner.replaceOutsideCode('a `a`', /a/, function () {
+ *   return 'b';
+ * });
+ * // => 'b `a`'
+ *
+ * @param {string} contents - Markdown or html contents.
+ * @param {object} re - Pattern to replace.
+ * @param {function} fn - Function executed with the match and the groups of
+ *   the pattern (like `String.prototype.replace`) which returns the
+ *   replacement.
+ */
+markdownOutliner.replaceOutsideCode = function (contents, re, fn) {
+  var codeGroups = new RegExp(markdownOutliner._codeRe.source + '|').exec('').length - 1;
+  var groups = new RegExp(re.source + '|').exec('').length - 1;
+  var combined = new RegExp(markdownOutliner._codeRe.source + '|' + re.source, 'gm');
+
+  return contents.replace(combined, function (match, code) {
+    if (code !== undefined) {
+      return match;
+    }
+
+    var args = _.toArray(arguments);
+    return fn.apply(null, [match].concat(args.slice(1 + codeGroups, 1 + codeGroups + groups)));
+  });
+};
+
+/**
+ * @private
+ * @memberof markdownOutliner
+ *
+ * @desc Find the node the current heading should be appended to.
+ *
+ * @param {object} current - Current outline node.
+ * @param {object} previous - Previously appended outline node (or the root
+ *   outline array).
+ */
+markdownOutliner._parent = function (current, previous) {
+  // we should be nested under the previous node
+  if (!previous.children || current.level > previous.level) {
+    return previous;
+
+  // we are siblings with the previous node
+  } else if (current.level === previous.level) {
+    return previous.parent;
+
+  // we need to traverse up the tree to find at what level we should
+  // be appended to
+  } else {
+    return markdownOutliner._parent(current, previous.parent);
+  }
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = markdownOutliner;
\ No newline at end of file
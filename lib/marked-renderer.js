@@ -12,6 +12,11 @@
 var _      = require('easy-utils');
 var marked = require('marked');
 
+// lib
+var Slugger    = require('./slugger');
+var codeBlock  = require('./code-block');
+var admonition = require('./admonition');
+
 
 /* -----------------------------------------------------------------------------
  * renderer
@@ -19,29 +24,72 @@ var marked = require('marked');
 
 /**
  * @public
- * @instance
+ * @function
+ *
+ * @desc Create a renderer instance which modifies headings to include anchor
+ * links similiar to github. Anchor ids are retrieved from the passed slugger so
+ * that they are unique across every section rendered with it. Fenced code
+ * blocks are rendered using `codeBlock` and callout blockquotes using
+ * `admonition`.
  *
- * @desc Renderer instance which modifies headings to include anchor links
- * similiar to github.
+ * @param {object} slugger - Slugger instance used to generate heading ids.
+ * @param {object} opts - Renderer opts.
+ * @param {function} opts.highlight - Syntax highlighter executed with `code`
+ *   and `lang`.
+ * @param {boolean} opts.lineNumbers - Wether or not to number code lines.
+ * @param {function} opts.admonition - Function executed with parsed callouts
+ *   (`type`, `title`, `contents`) which returns html, or null/undefined to
+ *   use the default markup.
  */
-var renderer = new marked.Renderer();
-
-renderer.heading = function (text, level) {
-  var url = text.toLowerCase().replace(/[^\w]+/g, '-');
-
-  var tmpl = '';
-  tmpl += '<h{{l}}>';
-  tmpl +=   '<a id="{{url}}" href="#{{url}}" class="anchor" name="{{url}}">';
-  tmpl +=     '<span class="header-link"></span>';
-  tmpl +=   '</a>';
-  tmpl +=   '{{text}}';
-  tmpl += '</h{{l}}>';
-
-  return _.renderTmpl(tmpl, {
-    l: level,
-    url: url,
-    text: text
-  });
+var createRenderer = function (slugger, opts) {
+  var renderer = new marked.Renderer();
+
+  opts = opts || {};
+
+  // compiled html can only be reused by the slugger it was compiled with.
+  renderer.slugger = slugger;
+
+  renderer.heading = function (text, level) {
+    var url = slugger.slug(Slugger.text(text));
+
+    var tmpl = '';
+    tmpl += '<h{{l}}>';
+    tmpl +=   '<a id="{{url}}" href="#{{url}}" class="anchor" name="{{url}}">';
+    tmpl +=     '<span class="header-link"></span>';
+    tmpl +=   '</a>';
+    tmpl +=   '{{{text}}}';
+    tmpl += '</h{{l}}>';
+
+    return _.renderTmpl(tmpl, {
+      l: level,
+      url: url,
+      text: text
+    });
+  };
+
+  renderer.code = function (code, lang) {
+    return codeBlock.render(code, lang, {
+      highlight: opts.highlight,
+      lineNumbers: opts.lineNumbers,
+      langPrefix: this.options.langPrefix
+    });
+  };
+
+  renderer.blockquote = function (quote) {
+    var callout = admonition.parse(quote);
+
+    if (!callout) {
+      return marked.Renderer.prototype.blockquote.call(this, quote);
+    }
+
+    var html = opts.admonition && opts.admonition(callout);
+
+    return _.isString(html)
+      ? html
+      : admonition.render(callout);
+  };
+
+  return renderer;
 };
 
 
@@ -49,4 +97,4 @@ renderer.heading = function (text, level) {
  * export
  * ---------------------------------------------------------------------------*/
 
-module.exports = renderer;
\ No newline at end of file
+module.exports = createRenderer;
\ No newline at end of file
@@ -0,0 +1,45 @@
+/*!
+ * nodeify.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * nodeify
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @function
+ *
+ * @desc Execute callback style fn with callback if one is specified, otherwise
+ *   return a Promise for its result.
+ *
+ * @example
+ * Page.prototype.create = function (callback) {
+ *   return nodeify(this._create, callback);
+ * };
+ *
+ * @param {function} fn - Function executed with a node style callback.
+ * @param {function} callback - Optional callback.
+ */
+var nodeify = function (fn, callback) {
+  if (callback) {
+    return fn(callback);
+  }
+
+  return new Promise(function (resolve, reject) {
+    fn(function (err, result) {
+      return err
+        ? reject(err)
+        : resolve(result);
+    });
+  });
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = nodeify;
\ No newline at end of file
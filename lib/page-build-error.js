@@ -0,0 +1,160 @@
+/*!
+ * page-build-error.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var util = require('util');
+
+// 3rd party
+var _ = require('easy-utils');
+
+
+/* -----------------------------------------------------------------------------
+ * PageBuildError
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @constructor
+ *
+ * @desc Error describing where a build failed.
+ *
+ * @param {string} message - Error message.
+ * @param {object} props - Error props.
+ * @param {string} props.section - Key of the section being built (if any).
+ * @param {string} props.path - Resolved path of the file being processed.
+ * @param {string} props.stage - Pipeline stage (`read`, `template`, `compile`,
+ *   `link`, `render` or `write`).
+ * @param {number} props.line - Line number within the file (if known).
+ * @param {number} props.column - Column number within the line (if known).
+ * @param {object} props.cause - Original error.
+ * @param {array} props.errors - Every error of an aggregated error.
+ */
+var PageBuildError = function (message, props) {
+  Error.call(this);
+  Error.captureStackTrace(this, PageBuildError);
+
+  this.name = 'PageBuildError';
+  this.message = message;
+
+  _.extend(this, {
+    section: null,
+    path: null,
+    stage: null,
+    line: null,
+    column: null,
+    cause: null,
+    errors: []
+  }, props);
+};
+
+util.inherits(PageBuildError, Error);
+
+/**
+ * @public
+ * @memberof PageBuildError
+ *
+ * @desc Wrap error with build details. Errors which already are build errors
+ *   (raised by an included section for example) are returned as is. Errors
+ *   carrying multiple `errors` are wrapped individually and aggregated.
+ *
+ * @example
+ * PageBuildError.wrap(err, { section: 'intro.md', stage: 'template' });
+ * // => [PageBuildError: template failed for intro.md:3:5: Parse error ...]
+ *
+ * @param {object} err - Original error.
+ * @param {object} props - Error props (see `PageBuildError`).
+ */
+PageBuildError.wrap = function (err, props) {
+  if (err instanceof PageBuildError) {
+    return err;
+  }
+
+  // failures reported together (see `doctest`) are wrapped individually.
+  if (_.isArray(err.errors) && err.errors.length) {
+    return PageBuildError.aggregate(_.map(err.errors, function (cause) {
+      return PageBuildError.wrap(cause, props);
+    }));
+  }
+
+  var location = PageBuildError._location(err);
+  var line = location.line && location.line + (props.offset || 0);
+  var where = (props.section || props.path)
+    + (line ? ':' + line : '')
+    + (line && location.column ? ':' + location.column : '');
+
+  var error = new PageBuildError(props.stage + ' failed for ' + where + ': ' + err.message, _.extend({
+    line: line || null,
+    column: location.column || null,
+    cause: err
+  }, _.omit(props, 'offset')));
+
+  // allow checking for specific system errors (ENOENT, etc.).
+  if (err.code) {
+    error.code = err.code;
+  }
+
+  return error;
+};
+
+/**
+ * @public
+ * @memberof PageBuildError
+ *
+ * @desc Combine multiple errors into a single error. Aggregated errors are
+ *   flattened so that `errors` only ever contains individual failures.
+ *
+ * @param {array} errors - Errors to combine.
+ */
+PageBuildError.aggregate = function (errors) {
+  errors = _.flatten(_.map(errors, function (err) {
+    return err.errors && err.errors.length ? err.errors : [err];
+  }), true);
+
+  if (errors.length === 1) {
+    return errors[0];
+  }
+
+  return new PageBuildError(errors.length + ' errors occurred:\n' + _.map(errors, function (err) {
+    return '  ' + err.message.split('\n')[0];
+  }).join('\n'), { errors: errors });
+};
+
+/**
+ * @private
+ * @memberof PageBuildError
+ *
+ * @desc Retrieve 1-based line and column from handlebars and yaml errors.
+ *
+ * @param {object} err - Original error.
+ */
+PageBuildError._location = function (err) {
+  var match;
+
+  if (err.mark) {
+    return { line: err.mark.line + 1, column: err.mark.column + 1 };
+  }
+
+  if (err.lineNumber) {
+    return { line: err.lineNumber, column: _.isNumber(err.column) ? err.column + 1 : null };
+  }
+
+  if ((match = /on line (\d+)/.exec(err.message))) {
+    return { line: parseInt(match[1], 10) };
+  }
+
+  return {};
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = PageBuildError;
\ No newline at end of file
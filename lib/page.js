@@ -14,13 +14,32 @@ var path = require('path');
 
 // 3rd party
 var _        = require('easy-utils');
+var yaml     = require('js-yaml');
 var marked   = require('marked');
 var async    = require('async');
 var mkdirp   = require('mkdirp');
 var outliner = require('easy-outliner');
 
 // lib
-var renderer = require('./marked-renderer');
+var createRenderer = require('./marked-renderer');
+var frontMatter    = require('./front-matter');
+var codeBlock      = require('./code-block');
+var admonition     = require('./admonition');
+var mdOutliner     = require('./markdown-outliner');
+var Slugger        = require('./slugger');
+var Watcher        = require('./watcher');
+var linker         = require('./linker');
+var transformers   = require('./transformers');
+var nodeify        = require('./nodeify');
+var PageBuildError = require('./page-build-error');
+var searchIndex    = require('./search-index');
+var sectionList    = require('./section-list');
+var SectionCache   = require('./section-cache');
+var writeChanged   = require('./write-changed');
+var toc            = require('./toc');
+var assets         = require('./assets');
+var themeLoader    = require('./theme-loader');
+var jsdoc          = require('./jsdoc');
 
 
 /* -----------------------------------------------------------------------------
@@ -36,21 +55,101 @@ var renderer = require('./marked-renderer');
  * @params {object} page - Page object.
  * @params {string} page.fileName - Filename to write contents to.
  * @params {array} page.sections - Array of filenames relative to opts.docs.
+ *   Sections may begin with a YAML (`---`) or JSON (`;;;`) front matter block
+ *   which is merged into the data used to template that section. Sections
+ *   may include other sections using `<!-- include: path/to/section.md -->`
+ *   and a table of contents of the page using `[[TOC]]` (see `toc`).
+ *   Glob patterns (`api/**\/*.md`) are expanded in place and patterns
+ *   prefixed with `!` exclude matching files (see `sectionList`).
+ *   Javascript files (`../lib/*.js`) are rendered as API references built
+ *   from their JSDoc comments (see `_renderApi`).
+ * @params {string} page.sort - Order of files matched by glob patterns: `name`
+ *   (default), numeric prefix (`number`) or front matter `order` (`order`).
  * @params {object} opts - Opts object.
  * @param {string} opts.root - Root which all paths will be resolved
  *   relative to.
  * @params {string} opts.dest - Destination path to write rendered contents to.
- * @params {string} opts.pkg - Path to package.json file.
- * @params {string} opts.theme - Easydocs theme object containing
- *   `pageTmpl` prop.
+ * @params {string} opts.pkg - Path to package.json file. Added to `data.pkg`.
+ *   Defaults to `package.json` within `root` (ignored if missing).
+ * @params {string} opts.dataDir - Path to directory of data files. Every
+ *   `.json`, `.yml`, `.yaml` and `.js` file is added to data by basename.
+ *   Modules exporting a function are executed as providers (see below).
+ * @params {object} opts.providers - Map of data key to function providing its
+ *   value. Functions accepting an argument are executed with a node style
+ *   callback, all others may return a value or a Promise.
+ * @params {string|object} opts.theme - Easydocs theme object containing
+ *   `pageTmpl` prop, or the path/package name of a theme relative to
+ *   `opts.root` (see `themeLoader`). Theme `data` is used as default data.
+ *   Callouts (see `admonition`) are rendered using the `admonition-<type>` or
+ *   `admonition` partial when provided. An optional `sectionTmpl` wraps every
+ *   section (see `_addSectionObjects`).
  * @params {string} opts.docs - Path to sections docs. All section paths will be
  *   relative to this location.
  * @params {array} opts.contents - Map of contents to use. Section key will
  *   look for contents before attempting to read from `docs` directory.
  * @params {object} opts.data - Custom data passed to tmpl for page render.
  * @params {boolean} opts.compile - Wether or not to compile markdown sections.
- *   If your final output will be a markdown file, set this to false. An outline
- *   can not be created if this option is set to false.
+ *   If your final output will be a markdown file, set this to false.
+ * @params {function} opts.slug - Custom function used to convert heading text
+ *   to an anchor id. Ids are de-duplicated across the page regardless.
+ * @params {function} opts.highlight - Syntax highlighter executed with `code`
+ *   and `lang` for every fenced code block. Should return html, or
+ *   null/undefined for unknown languages. Defaults to `theme.highlight`.
+ * @params {boolean} opts.lineNumbers - Wether or not to number code lines.
+ *   Specific lines can be highlighted regardless (```js {3,5-7}).
+ * @params {object} opts.transformers - Map of extension to section transformer
+ *   (see `registerTransformer`). Merged over `theme.transformers` and the
+ *   built in `hbs`, `md` and `js` transformers.
+ * @params {boolean} opts.strictLinks - Fail build if any section reference
+ *   (`[text](section-2.md#options)` or `[[section-2#options]]`) can not be
+ *   resolved. Unresolved references are always collected in `brokenLinks`.
+ * @params {boolean|object} opts.search - Write a JSON search index next to the
+ *   page (`index.html` => `index.search.json`) containing an entry per heading
+ *   (see `searchIndex`). Sites write a single merged index instead.
+ * @params {number} opts.search.depth - Deepest heading level which counts as a
+ *   document. Deeper headings are part of their parent's body.
+ * @params {boolean|array} opts.search.stopWords - Strip stop words from bodies.
+ *   `true` strips common english words.
+ * @params {string} opts.search.fileName - Filename of the search index.
+ * @params {number} opts.concurrency - Maximum number of sections built at
+ *   once. Defaults to 4.
+ * @params {boolean} opts.collectErrors - Build every section before failing
+ *   and report all failures as a single `PageBuildError` whose `errors`
+ *   contains each failure. Otherwise the build fails on the first error.
+ * @params {string} opts.cacheDir - Directory to cache built sections in.
+ *   Entries are keyed by section, data, theme and compile opts and are only
+ *   used while the contents of every file the section was built from are
+ *   unchanged.
+ * @params {boolean|object} opts.assets - Copy local files referenced by
+ *   sections (`![diagram](./img/arch.png)`, see `assets`) to `opts.dest` and
+ *   rewrite their urls relative to the page. Paths are resolved relative to
+ *   the referencing section. Missing files fail the build.
+ * @params {string} opts.assets.dir - Directory within `opts.dest` to copy
+ *   assets to. Defaults to `assets`.
+ * @params {boolean} opts.assets.hash - Add a content hash to filenames
+ *   (`arch.c1d9b7ab.png`).
+ * @params {array} opts.locales - Locales to build the page in (`['en', 'fr']`).
+ *   The default locale is written to `opts.dest`, every other locale to
+ *   `opts.dest`/`locale` (see `translations`). Sections are looked up with the
+ *   locale inserted before their extensions (`section-1.fr.md.hbs`) falling
+ *   back to the default section. Localized files are excluded from glob
+ *   patterns. Templates receive `data.locale` and `data.locales` (see
+ *   `_localeData`).
+ * @params {string} opts.defaultLocale - Locale of unlocalized sections.
+ *   Defaults to the first of `opts.locales`.
+ * @params {string} opts.locale - Build only this locale.
+ * @params {array} opts.plugins - Plugins to register (see `use`).
+ * @params {object} opts.api - API reference opts (see `_renderApi`).
+ * @params {boolean} opts.api.private - Include private members.
+ * @params {boolean|object} opts.doctest - Run code samples of markdown
+ *   sections marked as runnable (```js run) and fail the build when their
+ *   results differ from the expected `// =>` comments or `output` blocks (see
+ *   `doctest`). Every failure is reported with its section line.
+ * @params {object} opts.doctest.globals - Globals available to code samples.
+ * @params {number} opts.doctest.timeout - Milliseconds a block may run.
+ *   Defaults to 1000.
+ * @params {boolean} opts.doctest.insertOutput - Insert the logged output of
+ *   blocks without an `output` block into the rendered page.
  */
 var Page = function (page, opts) {
   if (!opts || !opts.theme) {
@@ -64,6 +163,69 @@ var Page = function (page, opts) {
   // page should have a reference to its name while templating.
   this.opts.data.pageName = page.pageName;
 
+  // hook functions keyed by hook name (see `use`).
+  this.hooks = {};
+  _.each(this.opts.plugins, this.use, this);
+
+  // translations are separate pages sharing everything but the locale.
+  this.translations = opts.locales && !opts.locale
+    ? _.map(_.without(opts.locales, this.opts.locale), function (locale) {
+        return new Page(page, _.extend({}, opts, { locale: locale }));
+      })
+    : [];
+
+  if (this.opts.locale) {
+    _.extend(this.opts.data, this._localeData());
+  }
+
+  // heading ids are unique page-wide. Sections are built with their own
+  // renderer and claim their ids in order once built (see `_claimIds`).
+  this.rendererOpts = {
+    highlight: this.opts.highlight || this.opts.theme.highlight,
+    lineNumbers: this.opts.lineNumbers,
+    admonition: function (callout) {
+      return this._renderAdmonition(callout);
+    }.bind(this)
+  };
+  this.slugger = new Slugger(this.opts.slug);
+  this.renderer = createRenderer(this.slugger, this.rendererOpts);
+
+  // section transformers keyed by extension.
+  this.transformers = _.extend({
+    hbs: transformers.hbs,
+    md: transformers.md,
+    js: transformers.js
+  }, this.opts.theme.transformers, this.opts.transformers);
+
+  // optional cache shared between pages (see `Site`).
+  this.cache = null;
+
+  // contents of `theme.partials` read during the last build.
+  this.partials = {};
+
+  // optional on-disk cache of built sections (see `opts.cacheDir`).
+  this.sectionCache = this.opts.cacheDir
+    ? new SectionCache(this.opts.cacheDir)
+    : null;
+  this.buildHash = null;
+
+  // files read during the last build (see `dependencies`).
+  this.deps = {};
+
+  // built sections, references to them, references to sections of other
+  // pages (see `Site`) and unresolved references.
+  this.built = [];
+  this.refs = {};
+  this.siteRefs = {};
+  this.brokenLinks = [];
+
+  // search index entries of the last build (see `opts.search`).
+  this.searchIndex = [];
+
+  // map of asset destination (relative to `opts.dest`) to source path of the
+  // last build (see `opts.assets`).
+  this.assets = {};
+
   // avoid ungly scoping issues.
   _.bindPrototypes(this);
 };
@@ -74,14 +236,278 @@ var Page = function (page, opts) {
  *
  * @desc Write page to specified dest.
  *
- * @param {function} callback - Function to execute once file has been written.
+ * @param {function} callback - Optional function to execute once file has been
+ *   written. If omitted a Promise is returned.
  */
 Page.prototype.create = function (callback) {
-  async.waterfall([
-    this._addData,
-    this._render,
-    this._write
-  ], callback);
+  return nodeify(function (done) {
+    async.series([
+      async.apply(async.waterfall, [
+        this._addData,
+        this._render,
+        this._write,
+        this._writeSearchIndex,
+        this._copyAssets
+      ]),
+      this._createTranslations
+    ], function (err) {
+      // no need to pass results on
+      done(err);
+    });
+  }.bind(this), callback);
+};
+
+/**
+ * @public
+ * @memberof Page
+ *
+ * @desc Render page without writing it to disk. Only the page's own locale
+ *   is rendered (see `translations`).
+ *
+ * @example
+ * page.render().then(function (result) {
+ *   console.log(result.contents, result.data.outline);
+ * });
+ *
+ * @param {function} callback - Optional function to execute once page has been
+ *   rendered. If omitted a Promise is returned.
+ *
+ * @returns {Promise} result - Resolves with `contents` (rendered page) and
+ *   `data` (computed template data including `sections` and `outline`).
+ */
+Page.prototype.render = function (callback) {
+  return nodeify(function (done) {
+    async.waterfall([
+      this._addData,
+      this._render
+    ], function (err, contents) {
+      done(err, err ? undefined : {
+        contents: contents,
+        data: this.opts.data
+      });
+    }.bind(this));
+  }.bind(this), callback);
+};
+
+/**
+ * @public
+ * @memberof Page
+ *
+ * @desc Rebuild page if it depends on any of the specified files. Only the
+ *   changed files are re-read, unchanged sections are served from `cache`.
+ *
+ * @param {array} files - Absolute paths of changed files.
+ * @param {function} callback - Function to execute once file has been written.
+ *   Executed with a boolean indicating if the page was affected.
+ */
+Page.prototype.rebuild = function (files, callback) {
+  if (!this.invalidate(files)) {
+    return process.nextTick(function () {
+      callback(null, false);
+    });
+  }
+
+  this._ageCache();
+  this.create(function (err) {
+    callback(err, true);
+  });
+};
+
+/**
+ * @public
+ * @memberof Page
+ *
+ * @desc Create page and incrementally rebuild whenever a dependency changes.
+ *
+ * @example
+ * page.watch()
+ *   .on('success', reload)
+ *   .on('error', console.error);
+ *
+ * @param {object} opts - Watcher opts (see `Watcher`).
+ *
+ * @returns {object} watcher - Started `Watcher` instance.
+ */
+Page.prototype.watch = function (opts) {
+  this.cache = this.cache || { contents: {}, compiled: {} };
+
+  _.each(this.translations, function (page) {
+    page.cache = this.cache;
+  }, this);
+
+  return new Watcher(this, opts).start();
+};
+
+/**
+ * @public
+ * @memberof Page
+ *
+ * @desc Return absolute paths of every file read during the last build
+ *   (`pkg`, data files, sections, assets, `theme.pageTmpl`, `theme.sectionTmpl`
+ *   and `theme.partials`) as well as directories searched by section patterns.
+ */
+Page.prototype.dependencies = function () {
+  return _.union.apply(_, [_.keys(this.deps)].concat(_.invoke(this.translations, 'dependencies')));
+};
+
+/**
+ * @public
+ * @memberof Page
+ *
+ * @desc Remove changed files from `cache`. Compiled html is dropped entirely
+ *   when a callout partial changed.
+ *
+ * @param {array} files - Absolute paths of changed files.
+ *
+ * @returns {boolean} affected - True if the page or any of its translations
+ *   depends on any of the files.
+ */
+Page.prototype.invalidate = function (files) {
+  var affected = _.filter(files, function (filePath) {
+    return _.has(this.deps, filePath);
+  }, this);
+
+  // every translation needs to drop its caches.
+  var translated = _.compact(_.invoke(this.translations, 'invalidate', files));
+
+  var partials = _.map(_.values(this.opts.theme.partials || {}), function (partialPath) {
+    return path.resolve(partialPath);
+  });
+
+  if (this.cache) {
+    _.each(files, function (filePath) {
+      delete this.cache.contents[filePath];
+    }, this);
+
+    // compiled html may contain rendered callout partials.
+    if (_.intersection(files, partials).length) {
+      this.cache.compiled = {};
+      this.cache.stale = {};
+    }
+  }
+
+  return affected.length > 0 || translated.length > 0;
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Start a new generation of compiled html in `cache`. Html compiled by
+ *   the previous build is kept as `stale` and only carried over when reused,
+ *   so that html of edited sections does not pile up while watching.
+ */
+Page.prototype._ageCache = function () {
+  if (this.cache) {
+    this.cache.stale = this.cache.compiled;
+    this.cache.compiled = {};
+  }
+};
+
+/**
+ * @public
+ * @memberof Page
+ *
+ * @desc Register transformer for sections with the given extension. Sections
+ *   with multiple extensions (`x.md.hbs`) are transformed right-to-left.
+ *   Sections with extensions lacking a transformer are passed through as is.
+ *   Transformers are registered on every translation as well.
+ *
+ * @example
+ * page.registerTransformer('md', function (contents, context, callback) {
+ *   callback(null, marked(contents, { renderer: context.renderer }));
+ * });
+ *
+ * @param {string} ext - Extension (without leading dot).
+ * @param {function} transformer - Function executed with the page as context
+ *   and `contents`, `context` (`key`, `data`, `meta`, `renderer`) and
+ *   `callback`.
+ */
+Page.prototype.registerTransformer = function (ext, transformer) {
+  this.transformers[ext.replace(/^\./, '')] = transformer;
+
+  _.invoke(this.translations, 'registerTransformer', ext, transformer);
+};
+
+/**
+ * @public
+ * @memberof Page
+ *
+ * @desc Names of hooks plugins may register (see `use`).
+ */
+Page.hooks = [
+  'beforeRead',
+  'afterRead',
+  'beforeTemplate',
+  'afterTemplate',
+  'beforeCompile',
+  'afterCompile',
+  'afterOutline',
+  'beforeRender',
+  'afterRender'
+];
+
+/**
+ * @public
+ * @memberof Page
+ *
+ * @desc Register plugin. Plugins are objects mapping hook names (see
+ *   `Page.hooks`) to functions executed with the page as context, the value
+ *   being processed, a context object and optionally a callback:
+ *
+ *   - `beforeRead`: Section key to read. Return another key to read instead.
+ *   - `afterRead`: Raw section contents including front matter.
+ *   - `before`/`afterTemplate`: Contents passed to/returned by the `hbs`
+ *     transformer.
+ *   - `before`/`afterCompile`: Contents passed to/returned by any other
+ *     transformer (`md`, etc.).
+ *   - `afterOutline`: `outline` before it is added to `opts.data`.
+ *   - `beforeRender`: Data to render the page template with.
+ *   - `afterRender`: Rendered page before it is written.
+ *
+ *   Section hooks receive `key`, `stage`, `data` and `meta` as context, page
+ *   hooks receive `stage` and `data`. Functions accepting a callback are
+ *   executed with one, all others may return a value or a Promise. Returning
+ *   undefined keeps the (possibly mutated) value. Hooks run in the order
+ *   plugins were registered.
+ *
+ * @example
+ * page.use({
+ *   name: 'minify',
+ *   afterRender: function (html) {
+ *     return html.replace(/>\s+</g, '><');
+ *   }
+ * });
+ *
+ * @param {object} plugin - Map of hook name to function. An optional `name`
+ *   is used in errors.
+ *
+ * @returns {object} page - Page instance.
+ */
+Page.prototype.use = function (plugin) {
+  _.each(_.omit(plugin, 'name'), function (hook, name) {
+    if (!_.contains(Page.hooks, name)) {
+      throw new Error('unknown hook ' + name + (plugin.name ? ' in plugin ' + plugin.name : ''));
+    }
+
+    this.hooks[name] = (this.hooks[name] || []).concat(hook);
+  }, this);
+
+  _.invoke(this.translations, 'use', plugin);
+
+  return this;
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Record file as a dependency of the current build.
+ *
+ * @param {string} filePath - Absolute path of file.
+ */
+Page.prototype._addDependency = function (filePath) {
+  this.deps[filePath] = true;
 };
 
 /**
@@ -94,28 +520,70 @@ Page.prototype.create = function (callback) {
  * @param {object} opts - Page opts.
  */
 Page.prototype._buildOpts = function (options) {
+  // themes may be specified by path or package name (see `themeLoader`).
+  if (_.isString(options.theme) || options.theme.extends) {
+    options = _.extend({}, options, {
+      theme: themeLoader.load(options.theme, options.root)
+    });
+  }
+
   // jsonClone props to a new object in order to avoid changing passed opts.
   var opts = _.jsonClone(options);
   _.defaults(opts, {
-    root     : process.cwd(),
-    docs     : './build/docs',
-    dest     : './',
-    data     : {},
-    contents : {},
-    compile  : true,
-    depth    : 3
+    root        : process.cwd(),
+    docs        : './build/docs',
+    dest        : './',
+    data        : {},
+    contents    : {},
+    compile     : true,
+    depth       : 3,
+    concurrency : 4
   });
 
+  // data provided by the theme acts as default data.
+  _.defaults(opts.data, opts.theme.data);
+
   // copy over helpers (which are not cloned during jsonClone)
   if (options.theme.helpers) {
     opts.theme.helpers = _.extend({}, options.theme.helpers);
   }
 
+  // copy over functions (which are not cloned during jsonClone)
+  _.each(['slug', 'highlight', 'transformers', 'providers', 'plugins', 'doctest'], function (name) {
+    if (options[name]) {
+      opts[name] = options[name];
+    }
+  });
+
+  _.each(['highlight', 'transformers'], function (name) {
+    if (options.theme[name]) {
+      opts.theme[name] = options.theme[name];
+    }
+  });
+
   // standardize required global paths
   opts.root = path.resolve(opts.root);
   opts.dest = path.resolve(opts.root, opts.dest);
   opts.docs = path.resolve(opts.root, opts.docs);
 
+  if (opts.dataDir) {
+    opts.dataDir = path.resolve(opts.root, opts.dataDir);
+  }
+
+  if (opts.cacheDir) {
+    opts.cacheDir = path.resolve(opts.root, opts.cacheDir);
+  }
+
+  if (opts.locales) {
+    opts.defaultLocale = opts.defaultLocale || opts.locales[0];
+    opts.locale = opts.locale || opts.defaultLocale;
+  }
+
+  // translations are written to a directory named after their locale.
+  if (opts.locale && opts.locale !== opts.defaultLocale) {
+    opts.dest = path.resolve(opts.dest, opts.locale);
+  }
+
   return opts;
 };
 
@@ -123,179 +591,1635 @@ Page.prototype._buildOpts = function (options) {
  * @private
  * @memberof Page
  *
- * @desc Add `pkg`, `sections`, and `outline` to `opts.data`.
+ * @desc Return locale data added to `opts.data`:
  *
- * @param {function} callback - Function to execute once all data has been added
- *   to `opts.data`.
+ *   - `locale`: Locale of the page.
+ *   - `locales`: Array of `{ locale, url, current, default }` for every locale
+ *     where `url` points to the page in that locale relative to this page.
  */
-Page.prototype._addData = function (callback) {
-  async.series([
-    this._addSections,
-    this._addOutline
-  ], function (err) {
-    // no need to pass results on
-    callback(err);
-  });
+Page.prototype._localeData = function () {
+  var opts = this.opts;
+  var fileName = this.page.fileName || '';
+
+  var localePath = function (locale) {
+    return locale === opts.defaultLocale
+      ? fileName
+      : path.join(locale, fileName);
+  };
+
+  var dir = path.dirname(localePath(opts.locale));
+
+  return {
+    locale: opts.locale,
+    locales: _.map(opts.locales || [opts.locale], function (locale) {
+      return {
+        locale: locale,
+        url: path.relative(dir, localePath(locale)).split(path.sep).join('/'),
+        current: locale === opts.locale,
+        default: locale === opts.defaultLocale
+      };
+    })
+  };
 };
 
 /**
  * @private
  * @memberof Page
  *
- * @desc Add built sections to `opts.data` as `sections`.
+ * @desc Create every translation of the page (see `opts.locales`).
  *
- * @param {function} callback - Function to execute once `sections` prop has
- *   been added to `opts.data`.
+ * @param {function} callback - Function to execute once every translation
+ *   has been written.
  */
-Page.prototype._addSections = function (callback) {
-  async.concatSeries(this.page.sections, this._buildSection, function (err, sections) {
-    if (!err) {
-      this.opts.data.sections = sections;
-    }
-    
-    callback(err);
-  }.bind(this));
+Page.prototype._createTranslations = function (callback) {
+  async.eachSeries(this.translations, function (page, next) {
+    page.create(next);
+  }, callback);
 };
 
 /**
  * @private
  * @memberof Page
  *
- * @desc Build individual section by running it through a series of
- *   transformations (get contents, template, compile).
+ * @desc Return key of the localized version of a section (`section-1.md.hbs`
+ *   => `section-1.fr.md.hbs`) or null when building the default locale.
  *
  * @param {string} section - Filepath/key of section.
- * @param {function} callback - Function to execute once section has run
- *   through transformations.
  */
-Page.prototype._buildSection = function (section, callback) {
-  // By default we only need to get the file
-  var tasks = [async.apply(this._getSection, section)];
+Page.prototype._localize = function (section) {
+  var locale = this.opts.locale;
 
-  if (_.hasExt(section, 'hbs')) {
-    tasks.push(this._templateSection);
+  if (!locale || locale === this.opts.defaultLocale) {
+    return null;
   }
 
-  if (_.hasExt(section, 'md') && this.opts.compile) {
-    tasks.push(this._compileSection);
-  }
+  var base = path.basename(section);
+  var i = base.indexOf('.');
+  var localized = i === -1
+    ? base + '.' + locale
+    : base.slice(0, i) + '.' + locale + base.slice(i);
 
-  async.waterfall(tasks, callback);
+  return path.join(path.dirname(section), localized);
 };
 
 /**
  * @private
  * @memberof Page
  *
- * @desc Get section contents. Looks up first for existing section passed in
- *   `opts.contents` object. If no existing match is found the file will be read
- *   from disk using the key as the filepath relative to `opts.docs`.
+ * @desc Determine if section is the localized version of another section in
+ *   any of `opts.locales`.
  *
- * @param {function} callback - Function to execute once section contents have
- *  been retrieved.
+ * @param {string} section - Filepath/key of section.
  */
-Page.prototype._getSection = function (section, callback) {
-  var existingSection = this.opts.contents[section];
+Page.prototype._isLocalized = function (section) {
+  var exts = path.basename(section).split('.').slice(1);
 
-  if (existingSection) {
-    return process.nextTick(function () {
-      callback(null, existingSection);
-    });
-  }
+  return _.intersection(exts, this.opts.locales || []).length > 0;
+};
 
-  var filePath = path.resolve(this.opts.docs, section);
-  _.readFile(filePath, callback);
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Add `pkg`, `sections`, `sectionsMeta`, `sectionObjects` and `outline`
+ *   to `opts.data`.
+ *   Section references are resolved once all sections have been built.
+ *
+ * @param {function} callback - Function to execute once all data has been added
+ *   to `opts.data`.
+ */
+Page.prototype._addData = function (callback) {
+  async.series([
+    this._addProvidedData,
+    this._addSections,
+    this._addLinks,
+    this._addOutline,
+    this._addSearchIndex,
+    this._addToc,
+    this._addSectionObjects
+  ], function (err) {
+    // no need to pass results on
+    callback(err);
+  });
 };
 
 /**
  * @private
  * @memberof Page
  *
- * @desc Template contents using `opts.data`.
+ * @desc Add `pkg`, data files and provider results to `opts.data`.
  *
- * @param {function} callback - Function to execute once contents have been
- *   templated.
+ * @param {function} callback - Function to execute once all data has been
+ *   loaded.
  */
-Page.prototype._templateSection = function (section, callback) {
-  process.nextTick(function () {
-    callback(null, _.renderTmpl(section, this.opts.data, {
-      partials: this.opts.theme.partials,
-      helpers: this.opts.theme.helpers
-    }));
-  }.bind(this));
+Page.prototype._addProvidedData = function (callback) {
+  this.deps = {};
+
+  async.series([
+    this._addPkg,
+    this._addDataFiles,
+    this._addProviders
+  ], function (err) {
+    // no need to pass results on
+    callback(err);
+  });
 };
 
 /**
  * @private
  * @memberof Page
  *
- * @desc Compile markdown contents.
+ * @desc Add parsed `opts.pkg` to `opts.data` as `pkg`.
  *
- * @param {function} callback - Function to execute once contents have been
- *   compiled.
+ * @param {function} callback - Function to execute once `pkg` prop has been
+ *   added to `opts.data`.
  */
-Page.prototype._compileSection = function (section, callback) {
-  process.nextTick(function () {
-    callback(null, marked(section, {
-      renderer: renderer
+Page.prototype._addPkg = function (callback) {
+  var filePath = path.resolve(this.opts.root, this.opts.pkg || 'package.json');
+
+  this._readFile(filePath, function (err, contents) {
+    // the default package.json is optional.
+    if (err && err.code === 'ENOENT' && !this.opts.pkg) {
+      return callback();
+    }
+
+    if (!err) {
+      try {
+        this.opts.data.pkg = JSON.parse(contents);
+      } catch (parseErr) {
+        err = parseErr;
+      }
+    }
+
+    callback(err && PageBuildError.wrap(err, {
+      path: filePath,
+      stage: 'read'
     }));
-  });
+  }.bind(this));
 };
 
 /**
  * @private
  * @memberof Page
  *
- * @desc Add document outline to `opts.data` as `outline`. *Note that currently
- *   only html content can be outlined. Markdown support may be added in the
- *   future (PRs welcome).
+ * @desc Add every data file in `opts.dataDir` to `opts.data` keyed by its
+ *   basename.
  *
- * @param {function} callback - Function to execute once `outline` prop has
+ * @param {function} callback - Function to execute once all data files have
  *   been added to `opts.data`.
  */
-Page.prototype._addOutline = function (callback) {
-  if (this.opts.compile) {
-    var contents = this.opts.data.sections.join('');
-    this.opts.data.outline = outliner.outline(contents, this.opts.depth);
+Page.prototype._addDataFiles = function (callback) {
+  if (!this.opts.dataDir) {
+    return process.nextTick(callback);
   }
 
-  process.nextTick(callback);
+  fs.readdir(this.opts.dataDir, function (err, files) {
+    if (err) {
+      return callback(err);
+    }
+
+    files = _.filter(files.sort(), function (file) {
+      return /\.(json|ya?ml|js)$/.test(file);
+    });
+
+    async.eachSeries(files, function (file, next) {
+      var filePath = path.resolve(this.opts.dataDir, file);
+      var ext = path.extname(file);
+
+      this._addDependency(filePath);
+      this._loadDataFile(filePath, ext, function (err, value) {
+        if (!err) {
+          this.opts.data[path.basename(file, ext)] = value;
+        }
+
+        next(err);
+      }.bind(this));
+    }.bind(this), callback);
+  }.bind(this));
 };
 
 /**
  * @private
  * @memberof Page
  *
- * @desc Render `opts.theme.pageTmpl` template using `opts.data`.
+ * @desc Load and parse individual data file.
  *
- * @param {function} callback - Function to execute once contents have been
- *   templated.
+ * @param {string} filePath - Absolute path of data file.
+ * @param {string} ext - Extension of data file.
+ * @param {function} callback - Function to execute with parsed data.
  */
-Page.prototype._render = function (callback) {
-  _.renderFile(this.opts.theme.pageTmpl, this.opts.data, {
-    partials : this.opts.theme.partials,
-    helpers  : this.opts.theme.helpers
-  }, callback);
+Page.prototype._loadDataFile = function (filePath, ext, callback) {
+  var done = function (err, value) {
+    callback(err && PageBuildError.wrap(err, {
+      path: filePath,
+      stage: 'read'
+    }), value);
+  };
+
+  if (ext === '.js') {
+    // modules may have changed since they were last required.
+    delete require.cache[filePath];
+
+    var value;
+
+    try {
+      value = require(filePath);
+    } catch (err) {
+      return process.nextTick(function () {
+        done(err);
+      });
+    }
+
+    if (_.isFunction(value)) {
+      return this._provide(value, done);
+    }
+
+    return process.nextTick(function () {
+      done(null, value);
+    });
+  }
+
+  this._readFile(filePath, function (err, contents) {
+    if (err) {
+      return done(err);
+    }
+
+    try {
+      contents = ext === '.json'
+        ? JSON.parse(contents)
+        : yaml.safeLoad(contents);
+    } catch (err) {
+      return done(err);
+    }
+
+    done(null, contents);
+  });
 };
 
 /**
  * @private
  * @memberof Page
  *
- * @desc Write finale contents to `opts.dest` with filename specified in
- *   `page.fileName`.
+ * @desc Add results of `opts.providers` to `opts.data`.
  *
- * @param {function} callback - Function to execute once file has been written.
+ * @param {function} callback - Function to execute once all providers have
+ *   finished.
  */
-Page.prototype._write = function (contents, callback) {
-  mkdirp(this.opts.dest, function (err) {
-    if (err) {
-      return callback(err);
-    }
+Page.prototype._addProviders = function (callback) {
+  async.eachSeries(_.keys(this.opts.providers || {}), function (key, next) {
+    this._provide(this.opts.providers[key], function (err, value) {
+      if (!err) {
+        this.opts.data[key] = value;
+      }
 
-    var filePath = path.resolve(this.opts.dest, this.page.fileName);
-    fs.writeFile(filePath, contents, callback);
-  }.bind(this));
+      next(err);
+    }.bind(this));
+  }.bind(this), callback);
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Execute provider with the page as context. Providers accepting an
+ *   argument are passed a callback, all others may return a value or Promise.
+ *
+ * @param {function} provider - Provider function.
+ * @param {function} callback - Function to execute with provided value.
+ */
+Page.prototype._provide = function (provider, callback) {
+  if (provider.length) {
+    return provider.call(this, callback);
+  }
+
+  var value;
+
+  try {
+    value = provider.call(this);
+  } catch (err) {
+    return process.nextTick(function () {
+      callback(err);
+    });
+  }
+
+  Promise.resolve(value).then(function (value) {
+    callback(null, value);
+  }, callback);
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Add built sections to `opts.data` as `sections`. Front matter for each
+ *   section is added in the same order as `sectionsMeta`. Heading ids of every
+ *   section are recorded in `refs` so that sections can be linked to.
+ *   Sections are built concurrently (see `opts.concurrency`) and claim their
+ *   heading ids in order afterwards.
+ *
+ * @param {function} callback - Function to execute once `sections` prop has
+ *   been added to `opts.data`.
+ */
+Page.prototype._addSections = function (callback) {
+  // rebuilding should result in identical ids.
+  this.slugger.reset();
+
+  async.waterfall([
+    this._loadPartials,
+    this._hashBuild,
+    this._expandSections,
+    function (keys, next) {
+      async.mapLimit(keys, this.opts.concurrency, function (section, done) {
+        this._buildIsolated(section, function (err, result) {
+          // keep building remaining sections (see `opts.collectErrors`).
+          if (err && this.opts.collectErrors) {
+            return done(null, { key: section, error: err });
+          }
+
+          done(err, result);
+        }.bind(this));
+      }.bind(this), next);
+    }.bind(this),
+    function (results, next) {
+      var errors = _.compact(_.pluck(results, 'error'));
+
+      if (errors.length) {
+        return next(PageBuildError.aggregate(errors));
+      }
+
+      async.mapSeries(results, this._claimIds, next);
+    }.bind(this)
+  ], function (err, results) {
+    if (err) {
+      return callback(err);
+    }
+
+    // markdown headings are not slugged until they are outlined.
+    if (!this.opts.compile) {
+      this._addHistory(results);
+    }
+
+    this.built = results;
+    this.assets = {};
+
+    _.each(_.flatten(_.pluck(results, 'assets'), true), function (asset) {
+      this.assets[asset.dest] = asset.src;
+    }, this);
+
+    this.opts.data.sections = _.pluck(results, 'contents');
+    this.opts.data.sectionsMeta = _.map(_.pluck(results, 'meta'), frontMatter.defaults);
+    this.refs = linker.refs(results, this.opts.slug);
+
+    callback();
+  }.bind(this));
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Read every partial in `theme.partials` so that sections, callouts and
+ *   the page template can be rendered synchronously.
+ *
+ * @param {function} callback - Function to execute once partials have been
+ *   read.
+ */
+Page.prototype._loadPartials = function (callback) {
+  var partials = this.opts.theme.partials || {};
+  var names = _.keys(partials);
+
+  async.mapSeries(names, function (name, next) {
+    var filePath = path.resolve(partials[name]);
+
+    this._readFile(filePath, function (err, contents) {
+      next(err && PageBuildError.wrap(err, {
+        path: filePath,
+        stage: 'read'
+      }), contents);
+    });
+  }.bind(this), function (err, contents) {
+    if (!err) {
+      this.partials = _.object(names, contents);
+    }
+
+    callback(err);
+  }.bind(this));
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Render callout using the theme's partial for its type (falling back
+ *   to the generic `admonition` partial).
+ *
+ * @param {object} callout - Parsed callout (`type`, `title`, `contents`).
+ *
+ * @returns {string} html - Rendered callout, or undefined if the theme does
+ *   not provide a partial.
+ */
+Page.prototype._renderAdmonition = function (callout) {
+  var tmpl = this.partials['admonition-' + callout.type]
+    || this.partials.admonition;
+
+  return tmpl && _.renderTmpl(tmpl, callout, {
+    partials: this.partials,
+    helpers: this.opts.theme.helpers
+  });
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Build section with its own slugger so that sections can be built
+ *   concurrently. Built sections are served from and stored in `sectionCache`
+ *   when available.
+ *
+ * @param {string} section - Filepath/key of section.
+ * @param {function} callback - Function executed with a built section object
+ *   (`{ key, contents, meta, history }`).
+ */
+Page.prototype._buildIsolated = function (section, callback) {
+  var slugger = new Slugger(this.opts.slug);
+  var scope = {
+    renderer: createRenderer(slugger, this.rendererOpts),
+    sources: {},
+    assets: {},
+    fallbacks: {}
+  };
+
+  this._getCachedSection(section, function (err, cached) {
+    if (err || cached) {
+      return callback(err, cached);
+    }
+
+    this._buildSection(section, scope, function (err, contents, meta) {
+      if (err) {
+        return callback(err);
+      }
+
+      var result = {
+        key: section,
+        contents: contents,
+        meta: meta,
+        history: slugger.history,
+        assets: _.values(scope.assets),
+        fallback: !!scope.fallbacks[section]
+      };
+
+      this._setCachedSection(section, scope.sources, result, function () {
+        callback(null, result);
+      });
+    }.bind(this));
+  }.bind(this));
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Claim the heading ids of an isolated section on the page. Ids which
+ *   are already taken by previous sections are rewritten within the built
+ *   html (`id`, `name` and `href="#..."` attributes).
+ *
+ * @param {object} result - Built section object.
+ * @param {function} callback - Function executed with the built section object
+ *   using page-wide ids.
+ */
+Page.prototype._claimIds = function (result, callback) {
+  if (this.slugger.replay(result.history)) {
+    return process.nextTick(function () {
+      callback(null, result);
+    });
+  }
+
+  var ids = {};
+  var history = _.map(result.history, function (entry) {
+    var slug = this.slugger.slug(entry.text);
+
+    // ids are html escaped when rendered (see `createRenderer`).
+    ids[_.escape(entry.slug)] = _.escape(slug);
+
+    return { text: entry.text, slug: slug };
+  }, this);
+
+  var re = /(\s(?:id|name)="|\shref="#)([^"]*)(")/g;
+  var contents = result.contents.replace(re, function (match, before, id, after) {
+    return _.has(ids, id) ? before + ids[id] + after : match;
+  });
+
+  process.nextTick(function () {
+    callback(null, _.extend({}, result, {
+      contents: contents,
+      history: history
+    }));
+  });
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Hash everything apart from section sources which affects built
+ *   sections: data, theme (including partials read by `_loadPartials`),
+ *   transformers and compile opts. Only computed when `opts.cacheDir` is set.
+ *
+ * @param {function} callback - Function to execute once `buildHash` has been
+ *   computed.
+ */
+Page.prototype._hashBuild = function (callback) {
+  if (!this.sectionCache) {
+    return process.nextTick(callback);
+  }
+
+  var theme = this.opts.theme;
+
+  this.buildHash = SectionCache.hash(
+    // generated by the build itself.
+    _.omit(this.opts.data, 'sections', 'sectionsMeta', 'sectionObjects', 'outline', 'site'),
+    theme,
+    this.partials,
+    _.mapValues(theme.helpers || {}, String),
+    _.mapValues(this.transformers, String),
+    _.mapValues(this.hooks, function (hooks) {
+      return _.map(hooks, String);
+    }),
+    String(this.opts.slug),
+    String(this.rendererOpts.highlight),
+    _.omit(marked.defaults, 'renderer', 'highlight'),
+    [this.opts.compile, this.opts.lineNumbers, this.opts.doctest, this.opts.api],
+    // asset urls are relative to the page.
+    [this.opts.assets, path.dirname(this.page.fileName || '')]
+  );
+
+  process.nextTick(callback);
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Retrieve built section from `sectionCache`. Entries are only used if
+ *   the contents of every section read and every asset referenced while
+ *   building it are unchanged.
+ *
+ * @param {string} section - Filepath/key of section.
+ * @param {function} callback - Function executed with the cached section
+ *   object (or null).
+ */
+Page.prototype._getCachedSection = function (section, callback) {
+  if (!this.sectionCache) {
+    return process.nextTick(function () {
+      callback(null, null);
+    });
+  }
+
+  this.sectionCache.get(SectionCache.hash(section, this.buildHash), function (err, entry) {
+    if (!entry) {
+      return callback(null, null);
+    }
+
+    var sources = _.map(_.keys(entry.sources), function (key) {
+      return function (next) {
+        this._getSection(key, function (err, contents) {
+          next(null, !err && SectionCache.hash(contents) === entry.sources[key]);
+        });
+      }.bind(this);
+    }, this);
+
+    var files = _.map(entry.result.assets || [], function (asset) {
+      return function (next) {
+        this._hashAsset(asset.src, function (err, hash) {
+          next(null, !err && hash === asset.hash);
+        });
+      }.bind(this);
+    }, this);
+
+    async.series(sources.concat(files), function (err, fresh) {
+      callback(null, _.every(fresh) ? entry.result : null);
+    });
+  }.bind(this));
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Store built section in `sectionCache`. Failing to write the cache
+ *   does not fail the build.
+ *
+ * @param {string} section - Filepath/key of section.
+ * @param {object} sources - Map of section key to content hash of every
+ *   section read while building it.
+ * @param {object} result - Built section object.
+ * @param {function} callback - Function to execute once stored.
+ */
+Page.prototype._setCachedSection = function (section, sources, result, callback) {
+  if (!this.sectionCache) {
+    return process.nextTick(callback);
+  }
+
+  this.sectionCache.set(SectionCache.hash(section, this.buildHash), {
+    sources: sources,
+    result: result
+  }, function () {
+    callback();
+  });
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Expand glob patterns within `page.sections` (see `sectionList`).
+ *   Expanded on every build so that added and removed files are picked up.
+ *   Localized sections matched by patterns are excluded (see `opts.locales`).
+ *
+ * @param {function} callback - Function to execute with expanded section keys.
+ */
+Page.prototype._expandSections = function (callback) {
+  var entries = this.page.sections || [];
+
+  sectionList.expand(entries, {
+    cwd: this.opts.docs,
+    sort: this.page.sort,
+    read: function (section, next) {
+      this._getSection(section, function (err, contents) {
+        if (err) {
+          return next(err);
+        }
+
+        try {
+          next(null, frontMatter.parse(contents).attributes);
+        } catch (parseErr) {
+          next(parseErr);
+        }
+      });
+    }.bind(this)
+  }, function (err, keys, dirs) {
+    // files added to searched directories may be matched by the next build.
+    _.each(dirs, this._addDependency);
+
+    // localized files matched by patterns are picked up through `_localize`.
+    callback(err, _.reject(keys, function (key) {
+      return !_.contains(entries, key) && this._isLocalized(key);
+    }, this));
+  }.bind(this));
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Add the slug history github (and `markdownOutliner`) will generate to
+ *   every markdown section.
+ *
+ * @param {array} results - Built section objects.
+ */
+Page.prototype._addHistory = function (results) {
+  var slugger = new Slugger(this.opts.slug);
+
+  _.each(results, function (result) {
+    result.history = _.map(mdOutliner.headings(result.contents), function (heading) {
+      var text = mdOutliner.text(heading.raw);
+      return { text: text, slug: slugger.slug(text) };
+    });
+  });
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Resolve section references of built sections and add the results to
+ *   `opts.data` as `sections`. References are resolved against this page first
+ *   and `siteRefs` second.
+ *
+ * @param {function} callback - Function to execute once references have been
+ *   resolved. If `opts.strictLinks` is set every reference which could not
+ *   be resolved is reported as a `PageBuildError` (stage `link`).
+ */
+Page.prototype._addLinks = function (callback) {
+  var refs = _.extend({}, this.siteRefs, this.refs);
+
+  this.brokenLinks = [];
+  this.opts.data.sections = _.map(this.built, function (section) {
+    var result = linker.resolve(section.contents, refs, !this.opts.compile,
+      _.keys(this.transformers));
+
+    _.each(result.broken, function (broken) {
+      this.brokenLinks.push(_.extend({ section: section.key }, broken));
+    }, this);
+
+    return result.contents;
+  }, this);
+
+  process.nextTick(function () {
+    if (!this.opts.strictLinks || !this.brokenLinks.length) {
+      return callback();
+    }
+
+    callback(PageBuildError.aggregate(_.map(this.brokenLinks, function (broken) {
+      var where = broken.section + ': ' + broken.link + ' (' + broken.reason + ')';
+
+      return new PageBuildError('link failed for ' + where, {
+        section: broken.section,
+        path: this._sectionPath(broken.section),
+        stage: 'link'
+      });
+    }, this)));
+  }.bind(this));
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Pass value through every function registered for hook (see `use`).
+ *
+ * @param {string} name - Hook name.
+ * @param {*} value - Value to process.
+ * @param {object} context - Context passed to every function.
+ * @param {function} callback - Function executed with the processed value.
+ */
+Page.prototype._runHooks = function (name, value, context, callback) {
+  var hooks = this.hooks[name] || [];
+
+  if (!hooks.length) {
+    return process.nextTick(function () {
+      callback(null, value);
+    });
+  }
+
+  async.reduce(hooks, value, function (value, hook, next) {
+    var done = function (err, result) {
+      next(err, result === undefined ? value : result);
+    };
+
+    if (hook.length > 2) {
+      return hook.call(this, value, context, done);
+    }
+
+    var result;
+
+    try {
+      result = hook.call(this, value, context);
+    } catch (err) {
+      return done(err);
+    }
+
+    Promise.resolve(result).then(function (result) {
+      done(null, result);
+    }, done);
+  }.bind(this), callback);
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Build individual section by running it through a series of
+ *   transformations (get contents, strip front matter, transform by extension,
+ *   rewrite asset urls, include). Section hooks (see `use`) run before and
+ *   after reading and every transformation.
+ *
+ * @param {string} section - Filepath/key of section.
+ * @param {object} scope - Optional build scope.
+ * @param {array} scope.parents - Chain of sections including this section.
+ * @param {object} scope.renderer - Renderer to compile with. Defaults to the
+ *   page-wide `renderer`.
+ * @param {object} scope.sources - Map populated with the content hash of
+ *   every section read.
+ * @param {object} scope.assets - Map populated with every asset referenced
+ *   (see `_addAssets`).
+ * @param {object} scope.fallbacks - Map populated with a boolean per section
+ *   read indicating if it fell back to the default locale.
+ * @param {function} callback - Function to execute once section has run
+ *   through transformations. Executed with the section contents and its
+ *   front matter attributes.
+ */
+Page.prototype._buildSection = function (section, scope, callback) {
+  // allow optional scope
+  if (_.isFunction(scope)) {
+    callback = scope;
+    scope = {};
+  }
+
+  var parents = scope.parents || [];
+  var chain = parents.concat(section);
+  var meta = {};
+
+  var filePath = this._sectionPath(section);
+
+  if (_.contains(parents, section)) {
+    return process.nextTick(function () {
+      callback(new PageBuildError('include cycle detected: ' + chain.join(' -> '), {
+        section: section,
+        path: filePath,
+        stage: 'read'
+      }));
+    });
+  }
+
+  // lines stripped along with the front matter.
+  var offset = 0;
+
+  // attach section details to errors (sync or async) of every stage.
+  var stage = function (name, fn) {
+    return function () {
+      var args = _.toArray(arguments);
+      var next = args.pop();
+
+      var done = function (err, result) {
+        next(err && PageBuildError.wrap(err, {
+          section: section,
+          path: filePath,
+          stage: name,
+          offset: offset
+        }), result);
+      };
+
+      try {
+        fn.apply(this, args.concat(done));
+      } catch (err) {
+        done(err);
+      }
+    }.bind(this);
+  }.bind(this);
+
+  // context passed to hooks (see `use`).
+  var context = function (name) {
+    return {
+      key: section,
+      stage: name,
+      data: _.extend({}, this.opts.data, meta),
+      meta: meta
+    };
+  }.bind(this);
+
+  // By default we only need to get the file and strip its front matter
+  var tasks = [
+    stage('read', function (next) {
+      this._runHooks('beforeRead', section, context('read'), next);
+    }),
+    stage('read', function (key, next) {
+      this._getSection(key, function (err, contents, fallback) {
+        if (scope.fallbacks) {
+          scope.fallbacks[section] = fallback;
+        }
+
+        if (scope.sources && !err) {
+          scope.sources[key] = SectionCache.hash(contents);
+        }
+
+        next(err, contents);
+      });
+    }),
+    stage('read', function (contents, next) {
+      this._runHooks('afterRead', contents, context('read'), next);
+    }),
+    stage('read', function (contents, next) {
+      // yaml line numbers are relative to the opening fence.
+      offset = 1;
+
+      this._parseSection(contents, function (err, parsed) {
+        if (!err) {
+          meta = parsed.attributes;
+          offset = contents.split('\n').length - parsed.body.split('\n').length;
+        }
+
+        next(err, parsed && parsed.body);
+      });
+    })
+  ];
+
+  _.each(transformers.extensions(section), function (ext) {
+    var transformer = _.has(this.transformers, ext) && this.transformers[ext];
+
+    var name = ext === 'hbs' ? 'template' : 'compile';
+    var hook = name.charAt(0).toUpperCase() + name.slice(1);
+
+    if (transformer) {
+      tasks.push(stage(name, function (contents, next) {
+        this._runHooks('before' + hook, contents, context(name), next);
+      }));
+
+      tasks.push(stage(name, function (contents, next) {
+        transformer.call(this, contents, {
+          key: section,
+          data: _.extend({}, this.opts.data, meta),
+          meta: meta,
+          renderer: scope.renderer || this.renderer
+        }, next);
+      }));
+
+      tasks.push(stage(name, function (contents, next) {
+        this._runHooks('after' + hook, contents, context(name), next);
+      }));
+    }
+  }, this);
+
+  if (this.opts.assets) {
+    tasks.push(stage('assets', function (contents, next) {
+      this._addAssets(section, contents, scope.assets || {}, next);
+    }));
+  }
+
+  tasks.push(function (contents, next) {
+    this._includeSections(contents, _.extend({}, scope, { parents: chain }), next);
+  }.bind(this));
+
+  async.waterfall(tasks, function (err, contents) {
+    callback(err, contents, meta);
+  });
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Replace include markers (`<!-- include: shared/install.md -->`) with
+ *   the built contents of the referenced section. Referenced sections are
+ *   looked up identically to `page.sections` and built using their own
+ *   extensions. Markers should be placed on their own line. Markers within
+ *   code are left untouched so that they can be documented.
+ *
+ * @param {string} section - Built section contents.
+ * @param {object} scope - Build scope (see `_buildSection`) whose `parents`
+ *   are the chain of sections leading to these contents.
+ * @param {function} callback - Function to execute once all includes have
+ *   been replaced.
+ */
+Page.prototype._includeSections = function (section, scope, callback) {
+  var re = /<!--\s*include:\s*(\S+?)\s*-->/;
+  var keys = [];
+
+  mdOutliner.replaceOutsideCode(section, re, function (match, key) {
+    keys.push(key);
+    return match;
+  });
+
+  async.mapSeries(keys, function (key, next) {
+    this._buildSection(key, scope, function (err, contents) {
+      next(err, contents);
+    });
+  }.bind(this), function (err, included) {
+    if (err) {
+      return callback(err);
+    }
+
+    callback(null, mdOutliner.replaceOutsideCode(section, re, function () {
+      return included.shift();
+    }));
+  });
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Rewrite urls of local assets (see `assets`) referenced by section to
+ *   point to their destination within `opts.assets.dir`. Assets keep their
+ *   path relative to `opts.docs` (or `opts.root` for assets outside of it).
+ *
+ * @param {string} section - Filepath/key of section. Asset paths are relative
+ *   to it.
+ * @param {string} contents - Built section contents.
+ * @param {object} found - Map populated with `{ src, dest, hash }` of every
+ *   asset keyed by source path.
+ * @param {function} callback - Function to execute once urls have been
+ *   rewritten. Executed with an error for missing assets.
+ */
+Page.prototype._addAssets = function (section, contents, found, callback) {
+  var markdown = !this.opts.compile;
+  var dir = path.dirname(path.resolve(this.opts.docs, section));
+  var urls = assets.find(contents, markdown);
+
+  async.mapSeries(urls, function (url, next) {
+    var filePath = path.resolve(dir, url);
+
+    this._hashAsset(filePath, function (err, hash) {
+      if (err) {
+        return next(err.code === 'ENOENT'
+          ? _.extend(new Error('missing asset ' + url), { code: err.code })
+          : err);
+      }
+
+      next(null, {
+        src: filePath,
+        dest: this._assetDest(filePath, hash),
+        hash: hash
+      });
+    }.bind(this));
+  }.bind(this), function (err, results) {
+    if (err) {
+      return callback(err);
+    }
+
+    var pageDir = path.dirname(this.page.fileName || '');
+    var hrefs = {};
+
+    _.each(results, function (asset, i) {
+      found[asset.src] = asset;
+      hrefs[urls[i]] = encodeURI(path.relative(pageDir, asset.dest).split(path.sep).join('/'));
+    });
+
+    callback(null, assets.replace(contents, markdown, function (url) {
+      return hrefs[url];
+    }));
+  }.bind(this));
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Hash asset tracking it as a dependency.
+ *
+ * @param {string} filePath - Absolute path of asset.
+ * @param {function} callback - Function executed with the content hash.
+ */
+Page.prototype._hashAsset = function (filePath, callback) {
+  this._addDependency(filePath);
+
+  assets.hash(filePath, callback);
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Return destination of asset relative to `opts.dest`.
+ *
+ * @param {string} filePath - Absolute path of asset.
+ * @param {string} hash - Content hash of asset.
+ */
+Page.prototype._assetDest = function (filePath, hash) {
+  var opts = _.isObject(this.opts.assets) ? this.opts.assets : {};
+  var fileName = path.relative(this.opts.docs, filePath);
+
+  if (/^\.\./.test(fileName)) {
+    fileName = path.relative(this.opts.root, filePath);
+  }
+
+  // assets outside of root keep only their name.
+  if (/^\.\./.test(fileName)) {
+    fileName = path.basename(filePath);
+  }
+
+  return path.join(opts.dir || 'assets', assets.fileName(fileName, hash, opts.hash));
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Return absolute path of section (or null for sections provided in
+ *   `opts.contents`).
+ *
+ * @param {string} section - Filepath/key of section.
+ */
+Page.prototype._sectionPath = function (section) {
+  return this.opts.contents[section]
+    ? null
+    : path.resolve(this.opts.docs, section);
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Get section contents. Looks up first for existing section passed in
+ *   `opts.contents` object. If no existing match is found the file will be read
+ *   from disk using the key as the filepath relative to `opts.docs`. Reads are
+ *   served from `cache` when one has been provided. When building a
+ *   translation the localized section is looked up first.
+ *
+ * @param {function} callback - Function to execute once section contents have
+ *  been retrieved. Executed with the contents and a boolean indicating if the
+ *  default section was used in place of a missing localized section.
+ */
+Page.prototype._getSection = function (section, callback) {
+  var localized = this._localize(section);
+
+  if (!localized) {
+    return this._getSource(section, function (err, contents) {
+      callback(err, contents, false);
+    });
+  }
+
+  this._getSource(localized, function (err, contents) {
+    if (!err || err.code !== 'ENOENT') {
+      return callback(err, contents, false);
+    }
+
+    this._getSource(section, function (err, contents) {
+      callback(err, contents, true);
+    });
+  }.bind(this));
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Get contents of the exact section key from `opts.contents` or disk.
+ *
+ * @param {string} section - Filepath/key of section.
+ * @param {function} callback - Function to execute with section contents.
+ */
+Page.prototype._getSource = function (section, callback) {
+  var existingSection = this.opts.contents[section];
+
+  if (existingSection) {
+    return process.nextTick(function () {
+      callback(null, existingSection);
+    });
+  }
+
+  this._readFile(path.resolve(this.opts.docs, section), callback);
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Read file tracking it as a dependency. Contents are shared through
+ *   the build cache when available.
+ *
+ * @param {string} filePath - Absolute path of file to read.
+ * @param {function} callback - Function to execute with file contents.
+ */
+Page.prototype._readFile = function (filePath, callback) {
+  var cache = this.cache;
+
+  this._addDependency(filePath);
+
+  if (cache && _.has(cache.contents, filePath)) {
+    return process.nextTick(function () {
+      callback(null, cache.contents[filePath]);
+    });
+  }
+
+  _.readFile(filePath, function (err, contents) {
+    if (!err && cache) {
+      cache.contents[filePath] = contents;
+    }
+
+    callback(err, contents);
+  });
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Separate front matter attributes from section contents.
+ *
+ * @param {string} section - Section contents.
+ * @param {function} callback - Function to execute once contents have been
+ *   parsed. Executed with an object containing `attributes` and `body`.
+ */
+Page.prototype._parseSection = function (section, callback) {
+  process.nextTick(function () {
+    var parsed;
+
+    try {
+      parsed = frontMatter.parse(section);
+    } catch (err) {
+      return callback(err);
+    }
+
+    callback(null, parsed);
+  });
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Template contents using `opts.data` or the specified data.
+ *
+ * @param {string} section - Section contents.
+ * @param {object} data - Optional data to template with. Defaults to
+ *   `opts.data`.
+ * @param {function} callback - Function to execute once contents have been
+ *   templated.
+ */
+Page.prototype._templateSection = function (section, data, callback) {
+  // allow optional data
+  if (_.isFunction(data)) {
+    callback = data;
+    data = this.opts.data;
+  }
+
+  process.nextTick(function () {
+    var contents;
+
+    // templates throw on parse errors and missing helpers/partials.
+    try {
+      contents = _.renderTmpl(section, data, {
+        partials: this.partials,
+        helpers: this.opts.theme.helpers
+      });
+    } catch (err) {
+      return callback(err);
+    }
+
+    callback(null, contents);
+  }.bind(this));
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Render API reference markdown from the JSDoc comments of javascript
+ *   contents (see `jsdoc`). Public members are grouped by the class or
+ *   namespace they belong to. Rendered using the theme's `api` partial when
+ *   provided, which receives `key`, `classes` and `data`.
+ *
+ * @param {string} source - Javascript contents.
+ * @param {object} context - Transformer context (see `registerTransformer`).
+ * @param {function} callback - Function executed with rendered markdown.
+ */
+Page.prototype._renderApi = function (source, context, callback) {
+  var opts = this.opts.api || {};
+
+  process.nextTick(function () {
+    var contents;
+
+    try {
+      contents = _.renderTmpl(this.partials.api || jsdoc.tmpl, {
+        key: context.key,
+        classes: jsdoc.group(jsdoc.parse(source), { private: opts.private }),
+        data: context.data
+      }, {
+        partials: this.partials,
+        helpers: _.extend({}, jsdoc.helpers, this.opts.theme.helpers)
+      });
+    } catch (err) {
+      return callback(err);
+    }
+
+    callback(null, contents);
+  }.bind(this));
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Compile markdown contents. Headings are given ids unique to the page.
+ *   Compiled html is reused from `cache` when its heading ids are still
+ *   available on this page.
+ *
+ * @param {string} section - Markdown contents.
+ * @param {object} renderer - Optional renderer to compile with. Defaults to
+ *   the page-wide `renderer`.
+ * @param {function} callback - Function to execute once contents have been
+ *   compiled.
+ */
+Page.prototype._compileSection = function (section, renderer, callback) {
+  // allow optional renderer
+  if (_.isFunction(renderer)) {
+    callback = renderer;
+    renderer = this.renderer;
+  }
+
+  var slugger = renderer.slugger;
+
+  process.nextTick(function () {
+    var compiled = this.cache ? this.cache.compiled : {};
+    var stale    = this.cache && this.cache.stale || {};
+    var cached   = _.has(compiled, section) ? compiled[section]
+      : _.has(stale, section) && stale[section];
+
+    if (cached && slugger.replay(cached.history)) {
+      compiled[section] = cached;
+      return callback(null, cached.html);
+    }
+
+    var start = slugger.history.length;
+    var html;
+
+    try {
+      html = marked(admonition.normalize(codeBlock.normalize(section)), {
+        renderer: renderer
+      });
+    } catch (err) {
+      return callback(err);
+    }
+
+    compiled[section] = {
+      html: html,
+      history: slugger.history.slice(start)
+    };
+
+    callback(null, html);
+  }.bind(this));
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Add document outline to `opts.data` as `outline`. Each entry's `url`
+ *   points to the heading id generated while compiling. If `opts.compile` is
+ *   false the outline is built from markdown headings instead, using the same
+ *   ids github would generate. Runs the `afterOutline` hook (see `use`).
+ *
+ * @param {function} callback - Function to execute once `outline` prop has
+ *   been added to `opts.data`.
+ */
+Page.prototype._addOutline = function (callback) {
+  var outline = this._outline(this.opts.depth);
+
+  this._runHooks('afterOutline', outline, { stage: 'outline', data: this.opts.data }, function (err, outline) {
+    if (!err) {
+      this.opts.data.outline = outline;
+    }
+
+    callback(err);
+  }.bind(this));
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Replace table of contents markers within `opts.data.sections` (see
+ *   `toc`). Markers are rendered as html lists or, if `opts.compile` is false,
+ *   markdown lists.
+ *
+ * @param {function} callback - Function to execute once markers have been
+ *   replaced.
+ */
+Page.prototype._addToc = function (callback) {
+  var outline = this._outline(6);
+
+  this.opts.data.sections = _.map(this.opts.data.sections, function (section) {
+    return toc.replace(section, function (attrs) {
+      return toc.render(outline, attrs, !this.opts.compile);
+    }.bind(this));
+  }, this);
+
+  process.nextTick(callback);
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Add an object per section to `opts.data` as `sectionObjects` so that
+ *   themes can tell sections apart. Every object contains:
+ *
+ *   - `index`: Position of the section on the page.
+ *   - `id`: Id based on the section key, unique among sections and headings.
+ *   - `html`: Final section contents.
+ *   - `source`: Object containing the section `key` and `path` (null for
+ *     sections provided in `opts.contents`).
+ *   - `extension`: Extensions of the section (`md.hbs`).
+ *   - `meta`: Front matter attributes.
+ *   - `outline`: Outline of the section alone.
+ *   - `fallback`: True if the section is not translated to the page locale
+ *     (see `opts.locales`).
+ *
+ *   If `theme.sectionTmpl` is set every entry of `sections` is replaced by the
+ *   template rendered with the section object and page `data`.
+ *
+ * @param {function} callback - Function to execute once `sectionObjects` has
+ *   been added.
+ */
+Page.prototype._addSectionObjects = function (callback) {
+  var tmplPath = this.opts.theme.sectionTmpl && path.resolve(this.opts.theme.sectionTmpl);
+  var ids = new Slugger(this.opts.slug);
+  var headings = new Slugger(this.opts.slug);
+
+  // section ids should not clash with heading ids.
+  ids.replay(_.flatten(_.pluck(this.built, 'history'), true));
+
+  var objects = this.opts.data.sectionObjects = _.map(this.built, function (section, i) {
+    var contents = this.opts.data.sections[i];
+
+    return {
+      index: i,
+      id: ids.slug(section.key.replace(/\.[^\/]*$/, '').replace(/[\/\\]+/g, ' ')),
+      html: contents,
+      source: { key: section.key, path: this._sectionPath(section.key) },
+      extension: transformers.extensions(section.key).reverse().join('.'),
+      meta: frontMatter.defaults(section.meta),
+      fallback: !!section.fallback,
+      outline: this.opts.compile
+        ? outliner.outline(contents, this.opts.depth)
+        : mdOutliner.outline(contents, this.opts.depth, headings)
+    };
+  }, this);
+
+  if (!tmplPath) {
+    return process.nextTick(callback);
+  }
+
+  this._readFile(tmplPath, function (err, tmpl) {
+    var sections;
+
+    if (!err) {
+      try {
+        sections = _.map(objects, function (object) {
+          return _.renderTmpl(tmpl, _.extend({ data: this.opts.data }, object), {
+            partials : this.partials,
+            helpers  : this.opts.theme.helpers
+          });
+        }, this);
+      } catch (renderErr) {
+        err = renderErr;
+      }
+    }
+
+    if (err) {
+      return callback(PageBuildError.wrap(err, {
+        path: tmplPath,
+        stage: 'render'
+      }));
+    }
+
+    this.opts.data.sections = sections;
+    callback();
+  }.bind(this));
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Create outline of the current sections.
+ *
+ * @param {number} depth - Deepest heading level to include.
+ */
+Page.prototype._outline = function (depth) {
+  var contents = this.opts.data.sections.join('\n\n');
+
+  return this.opts.compile
+    ? outliner.outline(contents, depth)
+    : mdOutliner.outline(contents, depth, new Slugger(this.opts.slug));
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Build search index entries for every heading (see `opts.search`).
+ *   Entry urls point to the heading id on this page.
+ *
+ * @param {function} callback - Function to execute once `searchIndex` has
+ *   been built.
+ */
+Page.prototype._addSearchIndex = function (callback) {
+  var search = this.opts.search;
+
+  // markers are not part of any document.
+  var contents = toc.replace(this.opts.data.sections.join('\n\n'), function () {
+    return '';
+  });
+
+  var entries = !search ? [] : searchIndex.build(contents, {
+    markdown: !this.opts.compile,
+    slug: this.opts.slug,
+    depth: search.depth,
+    stopWords: search.stopWords
+  });
+
+  this.searchIndex = _.map(entries, function (entry) {
+    return _.extend({ url: entry.id ? '#' + entry.id : '' }, entry);
+  });
+
+  process.nextTick(callback);
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Render `opts.theme.pageTmpl` template using `opts.data`. Runs the
+ *   `beforeRender` and `afterRender` hooks (see `use`).
+ *
+ * @param {function} callback - Function to execute once contents have been
+ *   templated.
+ */
+Page.prototype._render = function (callback) {
+  var tmplPath = path.resolve(this.opts.theme.pageTmpl);
+
+  async.waterfall([
+    this._loadPartials,
+    async.apply(this._readFile, tmplPath),
+    function (tmpl, next) {
+      this._runHooks('beforeRender', this.opts.data, { stage: 'render', data: this.opts.data }, function (err, data) {
+        next(err, tmpl, data);
+      });
+    }.bind(this),
+    function (tmpl, data, next) {
+      var contents;
+
+      try {
+        contents = _.renderTmpl(tmpl, data, {
+          partials : this.partials,
+          helpers  : this.opts.theme.helpers
+        });
+      } catch (err) {
+        return next(err);
+      }
+
+      this._runHooks('afterRender', contents, { stage: 'render', data: data }, next);
+    }.bind(this)
+  ], function (err, contents) {
+    callback(err && PageBuildError.wrap(err, {
+      path: tmplPath,
+      stage: 'render'
+    }), contents);
+  });
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Write finale contents to `opts.dest` with filename specified in
+ *   `page.fileName`. Files which already contain the contents are left
+ *   untouched.
+ *
+ * @param {function} callback - Function to execute once file has been written.
+ */
+Page.prototype._write = function (contents, callback) {
+  var filePath = path.resolve(this.opts.dest, this.page.fileName);
+
+  async.series([
+    async.apply(mkdirp, this.opts.dest),
+    async.apply(writeChanged, filePath, contents)
+  ], function (err) {
+    callback(err && PageBuildError.wrap(err, {
+      path: filePath,
+      stage: 'write'
+    }));
+  });
+};
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Write `searchIndex` next to the page if `opts.search` is set.
+ *
+ * @param {function} callback - Function to execute once file has been written.
+ */
+Page.prototype._writeSearchIndex = function (callback) {
+  var search = this.opts.search;
+
+  if (!search) {
+    return process.nextTick(callback);
+  }
+
+  var fileName = this.page.fileName;
+  var filePath = path.resolve(this.opts.dest, path.dirname(fileName), search.fileName
+    || path.basename(fileName, path.extname(fileName)) + '.search.json');
+
+  writeChanged(filePath, JSON.stringify(this.searchIndex), function (err) {
+    callback(err);
+  });
+};
+
+
+/**
+ * @private
+ * @memberof Page
+ *
+ * @desc Copy assets referenced during the last build (see `opts.assets`) to
+ *   `opts.dest`. Unchanged files are left untouched.
+ *
+ * @param {function} callback - Function to execute once all assets have been
+ *   copied.
+ */
+Page.prototype._copyAssets = function (callback) {
+  async.eachSeries(_.keys(this.assets), function (dest, next) {
+    var filePath = path.resolve(this.opts.dest, dest);
+
+    async.waterfall([
+      async.apply(fs.readFile, this.assets[dest]),
+      function (contents, next) {
+        mkdirp(path.dirname(filePath), function (err) {
+          next(err, contents);
+        });
+      },
+      function (contents, next) {
+        writeChanged(filePath, contents, next);
+      }
+    ], function (err) {
+      next(err && PageBuildError.wrap(err, {
+        path: filePath,
+        stage: 'write'
+      }));
+    });
+  }.bind(this), callback);
 };
 
 
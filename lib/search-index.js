@@ -0,0 +1,202 @@
+/*!
+ * search-index.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var _      = require('easy-utils');
+var marked = require('marked');
+
+// lib
+var mdOutliner = require('./markdown-outliner');
+var Slugger    = require('./slugger');
+
+
+/* -----------------------------------------------------------------------------
+ * searchIndex
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @namespace
+ *
+ * @desc Module used to create client-side search indexes. Every heading up to
+ *   the given depth is a document containing its plain text body (including
+ *   any deeper headings) up to the next document.
+ */
+var searchIndex = {};
+
+/**
+ * @public
+ * @memberof searchIndex
+ *
+ * @desc Default english stop words.
+ */
+searchIndex.stopWords = [
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in',
+  'into', 'is', 'it', 'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the',
+  'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'will',
+  'with'
+];
+
+/**
+ * @public
+ * @memberof searchIndex
+ *
+ * @desc Create search index entries for page contents.
+ *
+ * @example
+ * searchIndex.build('# Install\nnpm install', { markdown: true });
+ * // => [{ id: 'install', title: 'Install', ancestors: [], body: 'npm install' }]
+ *
+ * @param {string} contents - Page contents (html or markdown).
+ * @param {object} opts - Index opts.
+ * @param {boolean} opts.markdown - Wether contents are markdown rather than
+ *   html. Markdown heading ids are generated using `opts.slug`.
+ * @param {function} opts.slug - Custom slug function (markdown only).
+ * @param {number} opts.depth - Deepest heading level which counts as a
+ *   document. Defaults to 6.
+ * @param {boolean|array} opts.stopWords - Words to strip from bodies. `true`
+ *   uses `searchIndex.stopWords`.
+ *
+ * @returns {array} entries - Array of `{ id, title, ancestors, body }`.
+ */
+searchIndex.build = function (contents, opts) {
+  opts = opts || {};
+
+  var headings = opts.markdown
+    ? searchIndex._mdHeadings(contents, opts.slug)
+    : searchIndex._htmlHeadings(contents);
+
+  var depth   = opts.depth || 6;
+  var entries = [];
+  var parents = [];
+  var current;
+
+  _.each(headings, function (heading) {
+    // deeper headings are part of the current document.
+    if (heading.level > depth) {
+      return current && current.body.push(heading.text, heading.body);
+    }
+
+    while (parents.length && _.last(parents).level >= heading.level) {
+      parents.pop();
+    }
+
+    current = {
+      id: heading.id,
+      title: heading.text,
+      ancestors: _.pluck(parents, 'text'),
+      body: [heading.body]
+    };
+
+    parents.push(heading);
+    entries.push(current);
+  });
+
+  return _.map(entries, function (entry) {
+    return _.extend(entry, {
+      body: searchIndex._strip(entry.body.join(' '), opts.stopWords)
+    });
+  });
+};
+
+/**
+ * @private
+ * @memberof searchIndex
+ *
+ * @desc Retrieve headings and the plain text following them from html
+ *   compiled using `marked-renderer`.
+ *
+ * @param {string} html - Html contents.
+ */
+searchIndex._htmlHeadings = function (html) {
+  var re = /<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/g;
+  var headings = [];
+  var match;
+
+  while ((match = re.exec(html))) {
+    var id = /\sid="([^"]*)"/.exec(match[0]);
+
+    if (headings.length) {
+      _.last(headings).body = Slugger.text(html.slice(_.last(headings).end, match.index));
+    }
+
+    headings.push({
+      level: parseInt(match[1], 10),
+      id: id ? _.unescape(id[1]) : null,
+      text: Slugger.text(match[2]).trim(),
+      end: re.lastIndex
+    });
+  }
+
+  if (headings.length) {
+    _.last(headings).body = Slugger.text(html.slice(_.last(headings).end));
+  }
+
+  return headings;
+};
+
+/**
+ * @private
+ * @memberof searchIndex
+ *
+ * @desc Retrieve headings and the plain text following them from markdown.
+ *   Ids match those generated by `markdownOutliner`.
+ *
+ * @param {string} markdown - Markdown contents.
+ * @param {function} slug - Custom slug function.
+ */
+searchIndex._mdHeadings = function (markdown, slug) {
+  var lines    = markdown.split(/\r?\n/);
+  var headings = mdOutliner.headings(markdown);
+  var slugger  = new Slugger(slug);
+
+  return _.map(headings, function (heading, i) {
+    var next  = headings[i + 1];
+    var start = heading.line + (/^ {0,3}#/.test(lines[heading.line]) ? 1 : 2);
+    var body  = lines.slice(start, next ? next.line : lines.length).join('\n');
+    var text  = mdOutliner.text(heading.raw);
+
+    return {
+      level: heading.level,
+      id: slugger.slug(text),
+      text: text,
+      body: Slugger.text(marked(body))
+    };
+  });
+};
+
+/**
+ * @private
+ * @memberof searchIndex
+ *
+ * @desc Collapse whitespace and strip stop words.
+ *
+ * @param {string} text - Plain text.
+ * @param {boolean|array} stopWords - Words to strip.
+ */
+searchIndex._strip = function (text, stopWords) {
+  var words = _.compact(text.split(/\s+/));
+
+  if (stopWords) {
+    stopWords = stopWords === true ? searchIndex.stopWords : stopWords;
+    words = _.reject(words, function (word) {
+      return _.contains(stopWords, word.toLowerCase().replace(/[^\w]/g, ''));
+    });
+  }
+
+  return words.join(' ');
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = searchIndex;
\ No newline at end of file
@@ -0,0 +1,115 @@
+/*!
+ * section-cache.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var fs     = require('fs');
+var path   = require('path');
+var crypto = require('crypto');
+
+// 3rd party
+var _      = require('easy-utils');
+var mkdirp = require('mkdirp');
+
+
+/* -----------------------------------------------------------------------------
+ * SectionCache
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @constructor
+ *
+ * @desc On-disk cache of built sections. Every entry is stored as a json file
+ *   named after its key so that it survives between processes.
+ *
+ * @param {string} dir - Absolute path of the cache directory.
+ */
+var SectionCache = function (dir) {
+  this.dir = dir;
+
+  // avoid ugly scoping issues.
+  _.bindPrototypes(this);
+};
+
+/**
+ * @public
+ * @memberof SectionCache
+ *
+ * @desc Create a hash of any number of strings or json serializable values.
+ *
+ * @example
+ * SectionCache.hash('intro.md', { title: 'Title' });
+ */
+SectionCache.hash = function () {
+  var hash = crypto.createHash('sha1');
+
+  _.each(arguments, function (part) {
+    hash.update(_.isString(part) ? part : JSON.stringify(part) || '');
+    hash.update('\0');
+  });
+
+  return hash.digest('hex');
+};
+
+/**
+ * @public
+ * @memberof SectionCache
+ *
+ * @desc Retrieve cached entry. Missing or unreadable entries are treated as a
+ *   cache miss.
+ *
+ * @param {string} key - Entry key.
+ * @param {function} callback - Function executed with the entry (or null).
+ */
+SectionCache.prototype.get = function (key, callback) {
+  _.readJsonFile(this._path(key), function (err, entry) {
+    callback(null, err ? null : entry);
+  });
+};
+
+/**
+ * @public
+ * @memberof SectionCache
+ *
+ * @desc Store entry.
+ *
+ * @param {string} key - Entry key.
+ * @param {object} entry - Json serializable entry.
+ * @param {function} callback - Function to execute once entry has been
+ *   written.
+ */
+SectionCache.prototype.set = function (key, entry, callback) {
+  mkdirp(this.dir, function (err) {
+    if (err) {
+      return callback(err);
+    }
+
+    fs.writeFile(this._path(key), JSON.stringify(entry), callback);
+  }.bind(this));
+};
+
+/**
+ * @private
+ * @memberof SectionCache
+ *
+ * @desc Return absolute path of entry.
+ *
+ * @param {string} key - Entry key.
+ */
+SectionCache.prototype._path = function (key) {
+  return path.join(this.dir, key + '.json');
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = SectionCache;
\ No newline at end of file
@@ -0,0 +1,274 @@
+/*!
+ * section-list.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var path = require('path');
+
+// 3rd party
+var _     = require('easy-utils');
+var async = require('async');
+var glob  = require('glob');
+
+
+/* -----------------------------------------------------------------------------
+ * sectionList
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @namespace
+ *
+ * @desc Module used to expand glob patterns within `page.sections`. Explicit
+ *   entries keep their position, patterns are replaced by their sorted matches
+ *   and patterns prefixed with `!` exclude matches from every other pattern.
+ */
+var sectionList = {};
+
+/**
+ * @public
+ * @memberof sectionList
+ *
+ * @desc Expand section entries into section keys.
+ *
+ * @example
+ * sectionList.expand(['intro.md', 'api/**\/*.md', '!api/internal/**'], {
+ *   cwd: 'docs',
+ *   sort: 'number'
+ * }, callback);
+ *
+ * @param {array} entries - Section keys and glob patterns.
+ * @param {object} opts - Expand opts.
+ * @param {string} opts.cwd - Directory patterns are relative to.
+ * @param {string} opts.sort - Sort matches by `name` (default), numeric
+ *   prefix (`number`) or front matter `order` (`order`).
+ * @param {function} opts.read - Function executed with a section key and a
+ *   callback expecting the section's front matter. Required when sorting by
+ *   `order`.
+ * @param {function} callback - Function executed with expanded section keys
+ *   and the absolute paths of all directories searched by patterns (files
+ *   added to them may change the result).
+ */
+sectionList.expand = function (entries, opts, callback) {
+  var explicit = _.reject(entries, sectionList.isPattern);
+  var excludes = _.filter(entries, sectionList.isExclude);
+  var dirs = [];
+
+  async.mapSeries(excludes, function (entry, next) {
+    sectionList._glob(entry.slice(1), opts.cwd, next);
+  }, function (err, excluded) {
+    if (err) {
+      return callback(err);
+    }
+
+    var ignore = _.union(explicit, _.flatten(excluded, true));
+
+    async.mapSeries(_.difference(entries, excludes), function (entry, next) {
+      if (!sectionList.isPattern(entry)) {
+        return process.nextTick(function () {
+          next(null, [entry]);
+        });
+      }
+
+      async.parallel([
+        async.apply(sectionList._glob, entry, opts.cwd),
+        async.apply(sectionList._dirs, entry, opts.cwd)
+      ], function (err, results) {
+        if (err) {
+          return next(err);
+        }
+
+        var matches = results[0];
+        dirs = _.union(dirs, results[1]);
+
+        sectionList.sort(_.difference(matches, ignore), opts, function (err, sorted) {
+          // files matched by multiple patterns appear at their first match.
+          ignore = _.union(ignore, sorted);
+          next(err, sorted);
+        });
+      });
+    }, function (err, results) {
+      callback(err, err ? undefined : _.flatten(results, true), dirs);
+    });
+  });
+};
+
+/**
+ * @public
+ * @memberof sectionList
+ *
+ * @desc Determine if entry is a glob (or exclusion) pattern.
+ *
+ * @param {string} entry - Section entry.
+ */
+sectionList.isPattern = function (entry) {
+  return sectionList.isExclude(entry) || /[*?[\]{}]/.test(entry);
+};
+
+/**
+ * @public
+ * @memberof sectionList
+ *
+ * @desc Determine if entry is an exclusion pattern.
+ *
+ * @param {string} entry - Section entry.
+ */
+sectionList.isExclude = function (entry) {
+  return entry.charAt(0) === '!';
+};
+
+/**
+ * @public
+ * @memberof sectionList
+ *
+ * @desc Sort section keys. Keys are always sorted by name first so that the
+ *   result is stable.
+ *
+ * @param {array} keys - Section keys.
+ * @param {object} opts - Sort opts (see `expand`).
+ * @param {function} callback - Function executed with sorted keys.
+ */
+sectionList.sort = function (keys, opts, callback) {
+  keys = keys.slice().sort();
+
+  if (opts.sort === 'number') {
+    return process.nextTick(function () {
+      callback(null, keys.sort(sectionList._compareNumbers));
+    });
+  }
+
+  if (opts.sort !== 'order') {
+    return process.nextTick(function () {
+      callback(null, keys);
+    });
+  }
+
+  async.mapSeries(keys, opts.read, function (err, metas) {
+    if (err) {
+      return callback(err);
+    }
+
+    var order = _.object(keys, _.map(metas, function (meta) {
+      return _.isNumber(meta && meta.order) ? meta.order : Infinity;
+    }));
+
+    // sortBy is stable so equal orders remain sorted by name.
+    callback(null, _.sortBy(keys, function (key) {
+      return order[key];
+    }));
+  });
+};
+
+/**
+ * @private
+ * @memberof sectionList
+ *
+ * @desc Match files (not directories) relative to cwd.
+ *
+ * @param {string} pattern - Glob pattern.
+ * @param {string} cwd - Directory pattern is relative to.
+ * @param {function} callback - Function executed with matching paths.
+ */
+sectionList._glob = function (pattern, cwd, callback) {
+  glob(pattern, { cwd: cwd, mark: true }, function (err, matches) {
+    callback(err, _.reject(matches, function (match) {
+      return /\/$/.test(match);
+    }));
+  });
+};
+
+/**
+ * @private
+ * @memberof sectionList
+ *
+ * @desc Retrieve absolute paths of the directories pattern searches: the
+ *   directory preceding its first magic segment and, when any directory
+ *   segment is magic, every directory below it.
+ *
+ * @example
+ * sectionList._dirs('api/*.md', '/docs', callback);
+ * // => ['/docs/api']
+ *
+ * @param {string} pattern - Glob pattern.
+ * @param {string} cwd - Directory pattern is relative to.
+ * @param {function} callback - Function executed with directory paths.
+ */
+sectionList._dirs = function (pattern, cwd, callback) {
+  var segments = pattern.split('/');
+  var magic = _.indexOf(_.map(segments, sectionList.isPattern), true);
+  var base = path.resolve(cwd, segments.slice(0, magic).join('/'));
+
+  if (magic === segments.length - 1) {
+    return process.nextTick(function () {
+      callback(null, [base]);
+    });
+  }
+
+  glob('**', { cwd: base, mark: true }, function (err, matches) {
+    var dirs = _.filter(matches, function (match) {
+      return /\/$/.test(match);
+    });
+
+    // base itself is matched as `/`.
+    callback(err, _.union([base], _.map(dirs, function (dir) {
+      return path.resolve(path.join(base, dir));
+    })));
+  });
+};
+
+/**
+ * @private
+ * @memberof sectionList
+ *
+ * @desc Compare keys by the numeric prefix of every path segment
+ *   (`2-usage/01-intro.md`). Segments without a prefix come last.
+ *
+ * @param {string} a - Section key.
+ * @param {string} b - Section key.
+ */
+sectionList._compareNumbers = function (a, b) {
+  var segmentsA = a.split('/');
+  var segmentsB = b.split('/');
+
+  for (var i = 0; i < Math.min(segmentsA.length, segmentsB.length); i++) {
+    var numA = sectionList._number(segmentsA[i]);
+    var numB = sectionList._number(segmentsB[i]);
+
+    if (numA !== numB) {
+      return numA - numB;
+    }
+
+    if (segmentsA[i] !== segmentsB[i]) {
+      return segmentsA[i] < segmentsB[i] ? -1 : 1;
+    }
+  }
+
+  return segmentsA.length - segmentsB.length;
+};
+
+/**
+ * @private
+ * @memberof sectionList
+ *
+ * @desc Return numeric prefix of a path segment (Infinity if none).
+ *
+ * @param {string} segment - Path segment.
+ */
+sectionList._number = function (segment) {
+  var match = /^(\d+)/.exec(segment);
+
+  return match ? parseInt(match[1], 10) : Infinity;
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = sectionList;
\ No newline at end of file
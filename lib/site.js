@@ -0,0 +1,434 @@
+/*!
+ * site.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var path = require('path');
+
+// 3rd party
+var _     = require('easy-utils');
+var async = require('async');
+
+// lib
+var Page           = require('./page');
+var Watcher        = require('./watcher');
+var nodeify        = require('./nodeify');
+var writeChanged   = require('./write-changed');
+var PageBuildError = require('./page-build-error');
+
+
+/* -----------------------------------------------------------------------------
+ * Site
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @constructor
+ *
+ * @desc Create multiple pages which share opts and navigation. Every page
+ *   template receives a `site` object containing:
+ *
+ *   - `pages`: Array of `{ title, url, fileName, pageName, current }`.
+ *   - `current`: Entry of `pages` currently being rendered.
+ *   - `prev`/`next`: Neighbouring entries of `pages` (or null).
+ *   - `outline`: Combined outline where every page is a top level entry whose
+ *     children are that page's outline.
+ *
+ *   Sections shared between pages are only read and compiled once per build.
+ *   Section references (see `Page`) resolve to sections on any page. If
+ *   `opts.search` is set a single search index is written for all pages.
+ *
+ *   Sites are built in a single locale, `opts.locale` (defaulting to the
+ *   default locale). Create a site per locale to build translations.
+ *
+ * @param {array} pages - Array of page objects (see `Page`). Pages may also
+ *   specify `title` and `url`. Titles default to the first outline entry and
+ *   urls default to `fileName`.
+ * @param {object} opts - Opts object shared by every page (see `Page`).
+ */
+var Site = function (pages, opts) {
+  if (!opts || !opts.theme) {
+    throw new Error('missing required opts.');
+  }
+
+  // sites build a single locale (see `opts.locales`).
+  if (opts.locales && !opts.locale) {
+    opts = _.extend({}, opts, { locale: opts.defaultLocale || opts.locales[0] });
+  }
+
+  this.pages = _.map(pages || [], function (page) {
+    return new Page(page, opts);
+  });
+
+  // avoid ugly scoping issues.
+  _.bindPrototypes(this);
+};
+
+/**
+ * @public
+ * @memberof Site
+ *
+ * @desc Write every page to specified dest.
+ *
+ * @param {function} callback - Optional function to execute once all files
+ *   have been written. If omitted a Promise is returned.
+ */
+Site.prototype.create = function (callback) {
+  this._resetCache();
+
+  return nodeify(function (done) {
+    async.series([
+      this._addData,
+      this._addNavigation,
+      this._writePages,
+      this._writeSearchIndex
+    ], function (err) {
+      // no need to pass results on
+      done(err);
+    });
+  }.bind(this), callback);
+};
+
+/**
+ * @public
+ * @memberof Site
+ *
+ * @desc Rebuild only the pages which depend on any of the specified files.
+ *   Unaffected pages are re-rendered only when site navigation or references
+ *   to affected pages changed.
+ *
+ * @param {array} files - Absolute paths of changed files.
+ * @param {function} callback - Function to execute once affected files have
+ *   been written. Executed with an array of rewritten pages.
+ */
+Site.prototype.rebuild = function (files, callback) {
+  var affected = _.filter(this.pages, function (page) {
+    return page.invalidate(files);
+  });
+
+  // pages share a single cache (see `_resetCache`).
+  if (this.pages.length) {
+    this.pages[0]._ageCache();
+  }
+
+  var navigation = this._navigation();
+  var sections = _.map(this.pages, function (page) {
+    return page.opts.data.sections;
+  });
+
+  async.series([
+    async.apply(this._addData, affected),
+    this._addNavigation
+  ], function (err) {
+    if (err) {
+      return callback(err);
+    }
+
+    // references to affected pages may have changed.
+    var pages = _.isEqual(navigation, this._navigation())
+      ? _.filter(this.pages, function (page, i) {
+          return _.contains(affected, page)
+            || !_.isEqual(sections[i], page.opts.data.sections);
+        })
+      : this.pages;
+
+    async.series([
+      async.apply(this._writePages, pages),
+      this._writeSearchIndex
+    ], function (err) {
+      callback(err, pages);
+    });
+  }.bind(this));
+};
+
+/**
+ * @public
+ * @memberof Site
+ *
+ * @desc Create every page and incrementally rebuild whenever a dependency of
+ *   any page changes.
+ *
+ * @param {object} opts - Watcher opts (see `Watcher`).
+ *
+ * @returns {object} watcher - Started `Watcher` instance.
+ */
+Site.prototype.watch = function (opts) {
+  return new Watcher(this, opts).start();
+};
+
+/**
+ * @public
+ * @memberof Site
+ *
+ * @desc Return absolute paths of every file read during the last build of
+ *   any page.
+ */
+Site.prototype.dependencies = function () {
+  return _.union.apply(_, _.invoke(this.pages, 'dependencies'));
+};
+
+/**
+ * @private
+ * @memberof Site
+ *
+ * @desc Share a fresh cache between all pages. Caches only live for the
+ *   duration of a single build so that subsequent builds pick up changes.
+ */
+Site.prototype._resetCache = function () {
+  var cache = { contents: {}, compiled: {} };
+
+  _.each(this.pages, function (page) {
+    page.cache = cache;
+  });
+};
+
+/**
+ * @private
+ * @memberof Site
+ *
+ * @desc Load data and build sections of the specified pages, then resolve
+ *   section references and add `outline` for every page. Sections can be
+ *   referenced from any page.
+ *
+ * @param {array} pages - Optional subset of pages to build sections of.
+ *   Defaults to all pages.
+ * @param {function} callback - Function to execute once data has been added
+ *   to every page.
+ */
+Site.prototype._addData = function (pages, callback) {
+  // allow optional pages
+  if (_.isFunction(pages)) {
+    callback = pages;
+    pages = this.pages;
+  }
+
+  var collect = pages.length && pages[0].opts.collectErrors;
+
+  async.mapSeries(pages, function (page, next) {
+    async.series([
+      page._addProvidedData,
+      page._addSections
+    ], function (err) {
+      // keep building remaining pages (see `opts.collectErrors`).
+      return collect
+        ? next(null, err)
+        : next(err);
+    });
+  }, function (err, errors) {
+    errors = _.compact(errors || []);
+
+    if (err || errors.length) {
+      return callback(err || PageBuildError.aggregate(errors));
+    }
+
+    this._addRefs();
+
+    async.eachSeries(this.pages, function (page, next) {
+      async.series([
+        page._addLinks,
+        page._addOutline,
+        page._addSearchIndex,
+        page._addToc,
+        page._addSectionObjects
+      ], next);
+    }, callback);
+  }.bind(this));
+};
+
+/**
+ * @private
+ * @memberof Site
+ *
+ * @desc Share section references of every page with all other pages. Sections
+ *   which appear on multiple pages resolve to the first page.
+ */
+Site.prototype._addRefs = function () {
+  var refs = {};
+
+  _.each(this.pages, function (page) {
+    var url = this._url(page);
+
+    _.each(page.refs, function (ref, key) {
+      if (!_.has(refs, key)) {
+        refs[key] = _.extend({}, ref, { url: url });
+      }
+    });
+  }, this);
+
+  _.each(this.pages, function (page) {
+    page.siteRefs = refs;
+  });
+};
+
+/**
+ * @private
+ * @memberof Site
+ *
+ * @desc Add `site` navigation object to every page's `opts.data`.
+ *
+ * @param {function} callback - Function to execute once navigation has been
+ *   added to every page.
+ */
+Site.prototype._addNavigation = function (callback) {
+  var entries = _.map(this.pages, this._entry);
+  var outline = _.map(this.pages, function (page, i) {
+    return {
+      level: 0,
+      text: entries[i].title,
+      url: entries[i].url,
+      children: this._prefixOutline(page.opts.data.outline, entries[i].url)
+    };
+  }, this);
+
+  _.each(this.pages, function (page, i) {
+    page.opts.data.site = {
+      pages: _.map(entries, function (entry, j) {
+        return _.extend({ current: i === j }, entry);
+      }),
+      current: entries[i],
+      prev: entries[i - 1] || null,
+      next: entries[i + 1] || null,
+      outline: outline
+    };
+  });
+
+  process.nextTick(callback);
+};
+
+/**
+ * @private
+ * @memberof Site
+ *
+ * @desc Render and write every page along with its assets.
+ *
+ * @param {array} pages - Optional subset of pages. Defaults to all pages.
+ * @param {function} callback - Function to execute once every page has been
+ *   written.
+ */
+Site.prototype._writePages = function (pages, callback) {
+  // allow optional pages
+  if (_.isFunction(pages)) {
+    callback = pages;
+    pages = this.pages;
+  }
+
+  async.eachSeries(pages, function (page, next) {
+    async.waterfall([
+      page._render,
+      page._write,
+      page._copyAssets
+    ], next);
+  }, callback);
+};
+
+/**
+ * @private
+ * @memberof Site
+ *
+ * @desc Write a single search index merging the entries of every page. Entry
+ *   urls are prefixed with the page url and entries reference their `page`
+ *   title.
+ *
+ * @param {function} callback - Function to execute once file has been written.
+ */
+Site.prototype._writeSearchIndex = function (callback) {
+  var opts = this.pages.length && this.pages[0].opts;
+
+  if (!opts || !opts.search) {
+    return process.nextTick(callback);
+  }
+
+  var entries = _.flatten(_.map(this.pages, function (page) {
+    var entry = this._entry(page);
+
+    return _.map(page.searchIndex, function (result) {
+      return _.extend({}, result, {
+        url: entry.url + result.url,
+        page: entry.title
+      });
+    });
+  }, this), true);
+
+  var filePath = path.resolve(opts.dest, opts.search.fileName || 'search.json');
+  writeChanged(filePath, JSON.stringify(entries), function (err) {
+    callback(err);
+  });
+};
+
+/**
+ * @private
+ * @memberof Site
+ *
+ * @desc Return the current navigation (or undefined before the first build).
+ *   Navigation is shared by all pages apart from `current`, `prev` and `next`.
+ */
+Site.prototype._navigation = function () {
+  var site = this.pages.length && this.pages[0].opts.data.site;
+
+  return site && _.jsonClone(_.pick(site, 'pages', 'outline'));
+};
+
+/**
+ * @private
+ * @memberof Site
+ *
+ * @desc Create navigation entry for a page.
+ *
+ * @param {object} page - Page instance.
+ */
+Site.prototype._entry = function (page) {
+  var outline = page.opts.data.outline || [];
+
+  return {
+    title: page.page.title || (outline[0] && outline[0].text) || page.page.fileName,
+    url: this._url(page),
+    fileName: page.page.fileName,
+    pageName: page.page.pageName
+  };
+};
+
+/**
+ * @private
+ * @memberof Site
+ *
+ * @desc Return url of page.
+ *
+ * @param {object} page - Page instance.
+ */
+Site.prototype._url = function (page) {
+  return page.page.url || page.page.fileName;
+};
+
+/**
+ * @private
+ * @memberof Site
+ *
+ * @desc Copy page outline prefixing every url with the page url so that it can
+ *   be linked to from other pages.
+ *
+ * @param {array} outline - Page outline.
+ * @param {string} url - Page url.
+ */
+Site.prototype._prefixOutline = function (outline, url) {
+  return _.map(outline || [], function (node) {
+    return {
+      level: node.level,
+      text: node.text,
+      url: node.url ? url + node.url : url,
+      children: this._prefixOutline(node.children, url)
+    };
+  }, this);
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = Site;
\ No newline at end of file
@@ -0,0 +1,150 @@
+/*!
+ * slugger.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var _ = require('easy-utils');
+
+
+/* -----------------------------------------------------------------------------
+ * Slugger
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @constructor
+ *
+ * @desc Registry of heading ids. Every slug handed out is unique to the
+ *   registry, duplicates are suffixed (`title`, `title-1`, `title-2`, ...).
+ *   Each slug is recorded in `history` alongside the text it was created from.
+ *
+ * @param {function} slugFn - Optional function used to convert heading text
+ *   to a base slug. Defaults to `Slugger.slug`.
+ */
+var Slugger = function (slugFn) {
+  this.slugFn = slugFn || Slugger.slug;
+  this.reset();
+
+  // avoid ugly scoping issues.
+  _.bindPrototypes(this);
+};
+
+/**
+ * @private
+ * @memberof Slugger
+ *
+ * @desc Matches everything github strips from heading text (anything which is
+ *   not a letter, mark, number, connector, space or hyphen).
+ */
+Slugger._strip = new RegExp('[^\\p{L}\\p{M}\\p{N}\\p{Pc} -]', 'gu');
+
+/**
+ * @public
+ * @memberof Slugger
+ *
+ * @desc Default slug function. Converts text to a slug the same way github
+ *   does for rendered markdown headings.
+ *
+ * @example
+ * Slugger.slug('Über uns!'); // => 'über-uns'
+ *
+ * @param {string} text - Plain heading text.
+ */
+Slugger.slug = function (text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(Slugger._strip, '')
+    .replace(/ /g, '-');
+};
+
+/**
+ * @public
+ * @memberof Slugger
+ *
+ * @desc Convert heading html to plain text so that inline markup does not
+ *   leak into slugs.
+ *
+ * @example
+ * Slugger.text('<code>a</code> &amp; b'); // => 'a & b'
+ *
+ * @param {string} html - Heading contents.
+ */
+Slugger.text = function (html) {
+  return _.unescape(html.replace(/<[^>]*>/g, '').replace(/&#39;/g, '\''));
+};
+
+/**
+ * @public
+ * @memberof Slugger
+ *
+ * @desc Return a unique slug for the given heading text.
+ *
+ * @param {string} text - Plain heading text.
+ */
+Slugger.prototype.slug = function (text) {
+  var base = this.slugFn(text);
+  var slug = base;
+
+  while (_.has(this.occurrences, slug)) {
+    this.occurrences[base]++;
+    slug = base + '-' + this.occurrences[base];
+  }
+
+  this.occurrences[slug] = 0;
+  this.history.push({ text: text, slug: slug });
+
+  return slug;
+};
+
+/**
+ * @public
+ * @memberof Slugger
+ *
+ * @desc Re-slug a previously recorded history. Used to determine if html
+ *   compiled with another registry state can be reused as is. If any slug
+ *   would differ the registry is left untouched.
+ *
+ * @param {array} history - Array of `{ text, slug }` objects.
+ *
+ * @returns {boolean} replayed - True if every slug matched.
+ */
+Slugger.prototype.replay = function (history) {
+  var occurrences = _.clone(this.occurrences);
+  var length = this.history.length;
+
+  var matches = _.every(history, function (entry) {
+    return this.slug(entry.text) === entry.slug;
+  }, this);
+
+  if (!matches) {
+    this.occurrences = occurrences;
+    this.history.length = length;
+  }
+
+  return matches;
+};
+
+/**
+ * @public
+ * @memberof Slugger
+ *
+ * @desc Forget all previously handed out slugs.
+ */
+Slugger.prototype.reset = function () {
+  this.occurrences = {};
+  this.history = [];
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = Slugger;
\ No newline at end of file
@@ -0,0 +1,220 @@
+/*!
+ * theme-loader.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var fs   = require('fs');
+var path = require('path');
+
+// 3rd party
+var _    = require('easy-utils');
+var glob = require('glob');
+
+
+/* -----------------------------------------------------------------------------
+ * themeLoader
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @namespace
+ *
+ * @desc Module used to load themes from a directory or npm package. A theme
+ *   directory may contain:
+ *
+ *   - `page.hbs`: Page template (`pageTmpl`).
+ *   - `section.hbs`: Section template (`sectionTmpl`).
+ *   - `partials/**\/*.hbs`: Partials named by their path without extension
+ *     (`partials/nav/item.hbs` => `nav/item`).
+ *   - `helpers.js`: Module exporting a map of helpers.
+ *   - `theme.json`: Optional manifest overriding any of the above paths
+ *     (relative to the theme), default template `data` and a parent theme to
+ *     `extend`. Child themes override individual templates, partials,
+ *     helpers and data of their parent.
+ */
+var themeLoader = {};
+
+/**
+ * @public
+ * @memberof themeLoader
+ *
+ * @desc Load theme. Theme objects are returned as is unless they `extend`
+ *   another theme.
+ *
+ * @example
+ * themeLoader.load('./themes/docs', process.cwd());
+ * themeLoader.load('easy-page-theme-default', process.cwd());
+ * themeLoader.load({ extends: './themes/docs', partials: { nav: 'nav.hbs' } });
+ *
+ * @param {string|object} theme - Theme path, package name or theme object.
+ * @param {string} dir - Directory to resolve paths and packages relative to.
+ *
+ * @returns {object} theme - Theme object containing `pageTmpl`, `sectionTmpl`,
+ *   `partials`, `helpers` and `data`.
+ */
+themeLoader.load = function (theme, dir) {
+  var loaded = themeLoader._load(theme, path.resolve(dir || process.cwd()), []);
+
+  if (!loaded.pageTmpl) {
+    throw new Error('theme is missing a page template: ' + (loaded.dir || JSON.stringify(theme)));
+  }
+
+  return loaded;
+};
+
+/**
+ * @private
+ * @memberof themeLoader
+ *
+ * @desc Load theme keeping track of the inheritance chain.
+ *
+ * @param {string|object} theme - Theme path, package name or theme object.
+ * @param {string} dir - Directory to resolve paths and packages relative to.
+ * @param {array} chain - Directories of child themes.
+ */
+themeLoader._load = function (theme, dir, chain) {
+  if (!_.isString(theme)) {
+    return theme.extends
+      ? themeLoader._merge(themeLoader._load(theme.extends, dir, chain), _.omit(theme, 'extends'))
+      : theme;
+  }
+
+  var themeDir = themeLoader._resolve(theme, dir);
+
+  if (_.contains(chain, themeDir)) {
+    throw new Error('theme inheritance cycle: ' + chain.concat(themeDir).join(' -> '));
+  }
+
+  var own = themeLoader._read(themeDir);
+  var parent = own.extends && themeLoader._load(own.extends, themeDir, chain.concat(themeDir));
+
+  own = _.omit(own, 'extends');
+
+  return parent
+    ? themeLoader._merge(parent, own)
+    : own;
+};
+
+/**
+ * @private
+ * @memberof themeLoader
+ *
+ * @desc Resolve theme path or package name to an absolute directory.
+ *
+ * @param {string} theme - Theme path or package name.
+ * @param {string} dir - Directory to resolve relative to.
+ */
+themeLoader._resolve = function (theme, dir) {
+  var themeDir = path.resolve(dir, theme);
+
+  if (/^(\.|\/)/.test(theme) || path.resolve(theme) === theme || fs.existsSync(themeDir)) {
+    if (!fs.existsSync(themeDir)) {
+      throw new Error('theme not found: ' + themeDir);
+    }
+
+    return themeDir;
+  }
+
+  try {
+    return path.dirname(require.resolve(theme + '/package.json', { paths: [dir] }));
+  } catch (err) {
+    throw new Error('theme not found: ' + theme);
+  }
+};
+
+/**
+ * @private
+ * @memberof themeLoader
+ *
+ * @desc Read theme directory.
+ *
+ * @param {string} themeDir - Absolute path of theme directory.
+ */
+themeLoader._read = function (themeDir) {
+  var manifestPath = path.join(themeDir, 'theme.json');
+  var manifest = {};
+
+  if (fs.existsSync(manifestPath)) {
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (err) {
+      throw new Error('could not parse ' + manifestPath + ': ' + err.message);
+    }
+  }
+
+  var find = function (filePath) {
+    filePath = filePath && path.resolve(themeDir, filePath);
+    return filePath && fs.existsSync(filePath) ? filePath : undefined;
+  };
+
+  var helpersPath = find(manifest.helpers || 'helpers.js');
+
+  return _.extend(_.omit(manifest, 'helpers', 'partialsDir'), {
+    dir: themeDir,
+    pageTmpl: find(manifest.pageTmpl || 'page.hbs'),
+    sectionTmpl: find(manifest.sectionTmpl || 'section.hbs'),
+    partials: themeLoader._partials(path.resolve(themeDir, manifest.partialsDir || 'partials')),
+    helpers: helpersPath ? require(helpersPath) : {},
+    data: manifest.data || {}
+  });
+};
+
+/**
+ * @private
+ * @memberof themeLoader
+ *
+ * @desc Map every `.hbs` file within directory by its name.
+ *
+ * @param {string} partialsDir - Absolute path of partials directory.
+ */
+themeLoader._partials = function (partialsDir) {
+  var files = fs.existsSync(partialsDir)
+    ? glob.sync('**/*.hbs', { cwd: partialsDir })
+    : [];
+
+  return _.object(_.map(files, function (file) {
+    return file.replace(/\.hbs$/, '');
+  }), _.map(files, function (file) {
+    return path.join(partialsDir, file);
+  }));
+};
+
+/**
+ * @private
+ * @memberof themeLoader
+ *
+ * @desc Merge child theme over parent theme. Partials, helpers and data are
+ *   merged individually, everything else is replaced when set.
+ *
+ * @param {object} parent - Loaded parent theme.
+ * @param {object} child - Loaded (or provided) child theme.
+ */
+themeLoader._merge = function (parent, child) {
+  var merged = _.extend({}, parent);
+
+  // missing files of the child should not hide those of the parent.
+  _.each(child, function (value, name) {
+    if (value !== undefined) {
+      merged[name] = value;
+    }
+  });
+
+  _.each(['partials', 'helpers', 'data'], function (name) {
+    merged[name] = _.extend({}, parent[name], child[name]);
+  });
+
+  return merged;
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = themeLoader;
\ No newline at end of file
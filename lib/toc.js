@@ -0,0 +1,191 @@
+/*!
+ * toc.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var _ = require('easy-utils');
+
+
+// lib
+var mdOutliner = require('./markdown-outliner');
+
+
+/* -----------------------------------------------------------------------------
+ * toc
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @namespace
+ *
+ * @desc Module used to replace table of contents markers with a nested list of
+ *   links generated from the page outline. Markers may be written as
+ *   `[[TOC]]` or `<!-- toc -->` and accept the following attributes:
+ *
+ *   - `from`: Shallowest heading level to include (default 1).
+ *   - `to`: Deepest heading level to include (default 6).
+ *   - `depth`: Maximum nesting depth of the list.
+ *
+ * @example
+ * [[TOC from=2 to=3]]
+ * <!-- toc depth=1 -->
+ */
+var toc = {};
+
+/**
+ * @private
+ * @memberof toc
+ *
+ * @desc Matches markers (optionally wrapped in a paragraph by marked).
+ */
+toc._re = new RegExp([
+  '(<p>)?(?:\\[\\[TOC((?:[ \\t]+\\w+=\\d+)*)[ \\t]*\\]\\]',
+  '|<!--[ \\t]*toc((?:[ \\t]+\\w+=\\d+)*)[ \\t]*-->)(<\\/p>)?'
+].join(''), 'g');
+
+/**
+ * @public
+ * @memberof toc
+ *
+ * @desc Replace every marker within contents. Markers within code are left
+ *   untouched.
+ *
+ * @param {string} contents - Section contents.
+ * @param {function} fn - Function executed with the marker attributes which
+ *   returns the replacement.
+ */
+toc.replace = function (contents, fn) {
+  return mdOutliner.replaceOutsideCode(contents, toc._re, function (match, open, wikiAttrs, commentAttrs, close) {
+    var replacement = fn(toc._attrs(wikiAttrs || commentAttrs || ''));
+
+    // only keep a paragraph wrapping more than the marker.
+    return open && close
+      ? replacement
+      : (open || '') + replacement + (close || '');
+  });
+};
+
+/**
+ * @public
+ * @memberof toc
+ *
+ * @desc Render a table of contents for the given outline.
+ *
+ * @param {array} outline - Outline tree (see `markdownOutliner`).
+ * @param {object} attrs - Marker attributes (`from`, `to`, `depth`).
+ * @param {boolean} markdown - Render a markdown list rather than html.
+ */
+toc.render = function (outline, attrs, markdown) {
+  var nodes = toc._select(outline, _.defaults({}, attrs, {
+    from: 1,
+    to: 6,
+    depth: Infinity
+  }), 1);
+
+  return markdown
+    ? toc._markdown(nodes, 0)
+    : toc._html(nodes, ' class="toc"');
+};
+
+/**
+ * @private
+ * @memberof toc
+ *
+ * @desc Parse marker attributes (`depth=2 from=2`).
+ *
+ * @param {string} attrs - Raw attributes.
+ */
+toc._attrs = function (attrs) {
+  var parsed = {};
+
+  attrs.replace(/(\w+)=(\d+)/g, function (match, name, value) {
+    parsed[name] = parseInt(value, 10);
+  });
+
+  return parsed;
+};
+
+/**
+ * @private
+ * @memberof toc
+ *
+ * @desc Select outline nodes within the heading range. Children of nodes above
+ *   the range are lifted into their place.
+ *
+ * @param {array} nodes - Outline nodes.
+ * @param {object} attrs - Marker attributes.
+ * @param {number} depth - Current nesting depth.
+ */
+toc._select = function (nodes, attrs, depth) {
+  return _.flatten(_.map(nodes || [], function (node) {
+    if (node.level < attrs.from) {
+      return toc._select(node.children, attrs, depth);
+    }
+
+    if (node.level > attrs.to) {
+      return [];
+    }
+
+    return [{
+      text: node.text,
+      url: node.url,
+      children: depth < attrs.depth
+        ? toc._select(node.children, attrs, depth + 1)
+        : []
+    }];
+  }), true);
+};
+
+/**
+ * @private
+ * @memberof toc
+ *
+ * @desc Render nodes as a nested html list.
+ *
+ * @param {array} nodes - Selected nodes.
+ * @param {string} attr - Optional attributes of the list element.
+ */
+toc._html = function (nodes, attr) {
+  if (!nodes.length) {
+    return '';
+  }
+
+  return '<ul' + (attr || '') + '>' + _.map(nodes, function (node) {
+    var text = _.escape(node.text);
+    var link = node.url ? '<a href="' + _.escape(node.url) + '">' + text + '</a>' : text;
+
+    return '<li>' + link + toc._html(node.children) + '</li>';
+  }).join('') + '</ul>';
+};
+
+/**
+ * @private
+ * @memberof toc
+ *
+ * @desc Render nodes as a nested markdown list.
+ *
+ * @param {array} nodes - Selected nodes.
+ * @param {number} indent - Current indentation level.
+ */
+toc._markdown = function (nodes, indent) {
+  return _.map(nodes, function (node) {
+    var prefix = new Array(indent + 1).join('  ') + '- ';
+    var link = node.url ? '[' + node.text + '](' + node.url + ')' : node.text;
+    var children = toc._markdown(node.children, indent + 1);
+
+    return prefix + link + (children ? '\n' + children : '');
+  }).join('\n');
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = toc;
\ No newline at end of file
@@ -0,0 +1,113 @@
+/*!
+ * transformers.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var path = require('path');
+
+// 3rd party
+var _ = require('easy-utils');
+
+// lib
+var doctest = require('./doctest');
+
+
+/* -----------------------------------------------------------------------------
+ * transformers
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @namespace
+ *
+ * @desc Built in section transformers keyed by extension. Every transformer is
+ *   executed with the page as context and receives the section contents, a
+ *   context object (`key`, `data`, `meta`, `renderer`) and a callback.
+ */
+var transformers = {};
+
+/**
+ * @public
+ * @memberof transformers
+ *
+ * @desc Template contents with page data merged with section front matter.
+ */
+transformers.hbs = function (contents, context, callback) {
+  this._templateSection(contents, context.data, callback);
+};
+
+/**
+ * @public
+ * @memberof transformers
+ *
+ * @desc Compile markdown contents unless `opts.compile` is false. Contents
+ *   are compiled using the renderer of the current build scope. Runnable code
+ *   samples are verified first when `opts.doctest` is set (see `doctest`).
+ */
+transformers.md = function (contents, context, callback) {
+  var result = this.opts.doctest
+    ? doctest.verify(contents, _.isObject(this.opts.doctest) ? this.opts.doctest : {})
+    : { contents: doctest.strip(contents), errors: [] };
+
+  if (result.errors.length) {
+    return process.nextTick(function () {
+      callback(_.extend(new Error('doctest failed'), { errors: result.errors }));
+    });
+  }
+
+  contents = result.contents;
+
+  if (!this.opts.compile) {
+    return process.nextTick(function () {
+      callback(null, contents);
+    });
+  }
+
+  this._compileSection(contents, context.renderer, callback);
+};
+
+/**
+ * @public
+ * @memberof transformers
+ *
+ * @desc Render API reference markdown from JSDoc comments and compile it like
+ *   any other markdown section.
+ */
+transformers.js = function (contents, context, callback) {
+  this._renderApi(contents, context, function (err, markdown) {
+    if (err) {
+      return callback(err);
+    }
+
+    transformers.md.call(this, markdown, context, callback);
+  }.bind(this));
+};
+
+/**
+ * @public
+ * @memberof transformers
+ *
+ * @desc Return extensions of section key in the order their transformers
+ *   should be applied (right-to-left).
+ *
+ * @example
+ * transformers.extensions('docs/intro.md.hbs'); // => ['hbs', 'md']
+ *
+ * @param {string} key - Section key.
+ */
+transformers.extensions = function (key) {
+  return path.basename(key).split('.').slice(1).reverse();
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = transformers;
\ No newline at end of file
@@ -0,0 +1,245 @@
+/*!
+ * watcher.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var fs           = require('fs');
+var util         = require('util');
+var EventEmitter = require('events').EventEmitter;
+
+// 3rd party
+var _     = require('easy-utils');
+var async = require('async');
+
+
+/* -----------------------------------------------------------------------------
+ * Watcher
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @constructor
+ *
+ * @desc Watch every file (or directory) a builder (`Page` or `Site`) depends
+ *   on and incrementally rebuild when any of them change. Emits:
+ *
+ *   - `start`: Build has started. Executed with changed file paths (empty on
+ *     the initial build).
+ *   - `success`: Build has completed. Executed with changed file paths.
+ *   - `error`: Build has failed. Executed with the error.
+ *
+ * @param {object} builder - Object implementing `create(callback)`,
+ *   `rebuild(files, callback)` and `dependencies()`.
+ * @param {object} opts - Watcher opts.
+ * @param {number} opts.delay - Milliseconds to wait for additional changes
+ *   before rebuilding.
+ */
+var Watcher = function (builder, opts) {
+  EventEmitter.call(this);
+
+  this.builder  = builder;
+  this.opts     = _.defaults(opts || {}, { delay: 50 });
+  this.watchers = {};
+  this.changed  = [];
+  this.building = false;
+  this.closed   = false;
+
+  // avoid ugly scoping issues.
+  _.bindPrototypes(this);
+};
+
+util.inherits(Watcher, EventEmitter);
+
+/**
+ * @public
+ * @memberof Watcher
+ *
+ * @desc Run initial build and begin watching dependencies. The build starts
+ *   on the next tick so that listeners can be attached to the returned
+ *   watcher.
+ *
+ * @returns {object} watcher - Watcher instance.
+ */
+Watcher.prototype.start = function () {
+  process.nextTick(function () {
+    if (!this.closed) {
+      this._build([]);
+    }
+  }.bind(this));
+
+  return this;
+};
+
+/**
+ * @public
+ * @memberof Watcher
+ *
+ * @desc Stop watching all dependencies.
+ */
+Watcher.prototype.close = function () {
+  this.closed = true;
+  clearTimeout(this.timeout);
+
+  _.each(_.keys(this.watchers), this._unwatch);
+};
+
+/**
+ * @private
+ * @memberof Watcher
+ *
+ * @desc Build (initial) or rebuild (changed files) and emit build events.
+ *
+ * @param {array} files - Changed file paths.
+ */
+Watcher.prototype._build = function (files) {
+  var build = files.length
+    ? async.apply(this.builder.rebuild, files)
+    : this.builder.create;
+
+  this.building = true;
+  this.emit('start', files);
+
+  build(function (err) {
+    this.building = false;
+
+    if (this.closed) {
+      return;
+    }
+
+    this._sync();
+
+    if (err) {
+      this.emit('error', err);
+    } else {
+      this.emit('success', files);
+    }
+
+    // changes which occured during the build.
+    if (this.changed.length) {
+      this._schedule();
+    }
+  }.bind(this));
+};
+
+/**
+ * @private
+ * @memberof Watcher
+ *
+ * @desc Watch all current dependencies and stop watching files which are no
+ *   longer depended upon.
+ */
+Watcher.prototype._sync = function () {
+  var deps = this.builder.dependencies();
+
+  _.each(_.difference(_.keys(this.watchers), deps), this._unwatch);
+  _.each(_.difference(deps, _.keys(this.watchers)), this._watch);
+};
+
+/**
+ * @private
+ * @memberof Watcher
+ *
+ * @desc Watch individual file or directory. Directories are only considered
+ *   changed when entries are added or removed (not when files within them are
+ *   edited).
+ *
+ * @param {string} filePath - Absolute path of file to watch.
+ */
+Watcher.prototype._watch = function (filePath) {
+  try {
+    var entries = fs.statSync(filePath).isDirectory()
+      ? this._entries(filePath)
+      : null;
+
+    this.watchers[filePath] = fs.watch(filePath, function () {
+      if (!entries || !_.isEqual(entries, this._entries(filePath))) {
+        this._change(filePath);
+      }
+    }.bind(this));
+  } catch (err) {
+    // missing files will be reported by the build itself.
+  }
+};
+
+/**
+ * @private
+ * @memberof Watcher
+ *
+ * @desc Return sorted entries of directory (or null if it can not be read).
+ *
+ * @param {string} dirPath - Absolute path of directory.
+ */
+Watcher.prototype._entries = function (dirPath) {
+  try {
+    return fs.readdirSync(dirPath).sort();
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * @private
+ * @memberof Watcher
+ *
+ * @desc Stop watching individual file.
+ *
+ * @param {string} filePath - Absolute path of file to stop watching.
+ */
+Watcher.prototype._unwatch = function (filePath) {
+  if (this.watchers[filePath]) {
+    this.watchers[filePath].close();
+  }
+
+  delete this.watchers[filePath];
+};
+
+/**
+ * @private
+ * @memberof Watcher
+ *
+ * @desc Queue changed file. Files replaced on save (rename) lose their watch,
+ *   so the file is unwatched and picked back up once the rebuild completes.
+ *
+ * @param {string} filePath - Absolute path of changed file.
+ */
+Watcher.prototype._change = function (filePath) {
+  this._unwatch(filePath);
+
+  if (!_.contains(this.changed, filePath)) {
+    this.changed.push(filePath);
+  }
+
+  if (!this.building) {
+    this._schedule();
+  }
+};
+
+/**
+ * @private
+ * @memberof Watcher
+ *
+ * @desc Debounce rebuild so that multiple changes result in a single build.
+ */
+Watcher.prototype._schedule = function () {
+  clearTimeout(this.timeout);
+
+  this.timeout = setTimeout(function () {
+    var files = this.changed;
+    this.changed = [];
+
+    this._build(files);
+  }.bind(this), this.opts.delay);
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = Watcher;
\ No newline at end of file
@@ -0,0 +1,53 @@
+/*!
+ * write-changed.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var fs = require('fs');
+
+
+/* -----------------------------------------------------------------------------
+ * writeChanged
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * @public
+ * @function
+ *
+ * @desc Write contents to file unless the file already contains identical
+ *   contents. Leaving unchanged files untouched avoids triggering watchers
+ *   downstream.
+ *
+ * @param {string} filePath - Absolute path of file to write.
+ * @param {string|Buffer} contents - Contents to write.
+ * @param {function} callback - Function to execute once file has been written.
+ *   Executed with a boolean indicating if the file was written.
+ */
+var writeChanged = function (filePath, contents, callback) {
+  var binary = Buffer.isBuffer(contents);
+
+  fs.readFile(filePath, binary ? null : 'utf8', function (err, existing) {
+    var same = !err && (binary ? existing.equals(contents) : existing === contents);
+
+    if (same) {
+      return callback(null, false);
+    }
+
+    fs.writeFile(filePath, contents, function (err) {
+      callback(err, !err);
+    });
+  });
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = writeChanged;
\ No newline at end of file
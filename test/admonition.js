@@ -0,0 +1,76 @@
+/*!
+ * test/admonition.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var admonition = require('../lib/admonition');
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('admonition.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * normalize()
+   * -------------------------------------------------------------------------*/
+
+  describe('normalize()', function () {
+
+    it('Should convert fenced callouts to blockquote callouts.', function () {
+      assert.equal(admonition.normalize(':::warning Hot *stuff*\nText\n\nMore\n:::\nAfter'),
+        '> [!warning] Hot *stuff*\n> Text\n>\n> More\nAfter');
+    });
+
+    it('Should ignore fences within code blocks.', function () {
+      var markdown = '```\n:::note\n:::\n```';
+      assert.equal(admonition.normalize(markdown), markdown);
+      assert.equal(admonition.normalize(':::note\n```\n:::\n```\n:::'), '> [!note]\n> ```\n> :::\n> ```');
+    });
+
+    it('Should leave unclosed callouts untouched.', function () {
+      assert.equal(admonition.normalize(':::note\nText'), ':::note\nText');
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * parse()
+   * -------------------------------------------------------------------------*/
+
+  describe('parse()', function () {
+
+    it('Should parse callout type, title and contents.', function () {
+      assert.deepEqual(admonition.parse('<p>[!TIP] Pro <em>tip</em>\nUse it.</p>\n'), {
+        type: 'tip',
+        title: 'Pro <em>tip</em>',
+        contents: '<p>Use it.</p>\n'
+      });
+    });
+
+    it('Should default title to the capitalized type.', function () {
+      assert.deepEqual(admonition.parse('<p>[!NOTE]</p>\n<p>Text</p>\n'), {
+        type: 'note',
+        title: 'Note',
+        contents: '<p>Text</p>\n'
+      });
+    });
+
+    it('Should ignore regular blockquotes.', function () {
+      assert.isUndefined(admonition.parse('<p>Quote</p>\n'));
+    });
+
+  });
+
+});
\ No newline at end of file
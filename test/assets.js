@@ -0,0 +1,117 @@
+/*!
+ * test/assets.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var assets = require('../lib/assets');
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('assets.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * replace()
+   * -------------------------------------------------------------------------*/
+
+  describe('replace()', function () {
+
+    var prefix = function (url) {
+      return 'assets/' + url;
+    };
+
+    it('Should replace `src` and `href` urls keeping query and hash.', function () {
+      var html = '<img src="img/a.png" alt="a"> <a href="files/b.zip?v=1#x">b</a>';
+
+      assert.equal(assets.replace(html, false, prefix),
+        '<img src="assets/img/a.png" alt="a"> <a href="assets/files/b.zip?v=1#x">b</a>');
+    });
+
+    it('Should only replace markdown links within markdown.', function () {
+      var md = '![a](img/a.png "A") [b](b.pdf)';
+
+      assert.equal(assets.replace(md, true, prefix), '![a](assets/img/a.png "A") [b](assets/b.pdf)');
+      assert.equal(assets.replace(md, false, prefix), md);
+    });
+
+    it('Should ignore urls within code.', function () {
+      var html = '<code>&lt;img src="a.png"&gt;</code><pre><code><a href="b.png"></a></code></pre>';
+      var md = '`![a](a.png)`\n\n```\n![b](b.png)\n```';
+
+      assert.equal(assets.replace(html, false, prefix), html);
+      assert.equal(assets.replace(md, true, prefix), md);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * find()
+   * -------------------------------------------------------------------------*/
+
+  describe('find()', function () {
+
+    it('Should return unique decoded asset paths.', function () {
+      var html = '<img src="img/my%20a.png"><img src="img/my%20a.png"><a href="b.txt#top">';
+      assert.deepEqual(assets.find(html, false), ['img/my a.png', 'b.txt']);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * isAsset()
+   * -------------------------------------------------------------------------*/
+
+  describe('isAsset()', function () {
+
+    it('Should return true for relative urls of files.', function () {
+      assert.isTrue(assets.isAsset('./img/a.png'));
+      assert.isTrue(assets.isAsset('../files/a.tar.gz?v=1'));
+    });
+
+    it('Should return false for absolute urls, hashes and templates.', function () {
+      assert.isFalse(assets.isAsset('http://example.com/a.png'));
+      assert.isFalse(assets.isAsset('data:image/png;base64,AAAA'));
+      assert.isFalse(assets.isAsset('/img/a.png'));
+      assert.isFalse(assets.isAsset('#a.png'));
+      assert.isFalse(assets.isAsset('{{img}}.png'));
+    });
+
+    it('Should return false for pages, sections and urls without extension.', function () {
+      assert.isFalse(assets.isAsset('other.html'));
+      assert.isFalse(assets.isAsset('section-2.md#options'));
+      assert.isFalse(assets.isAsset('section-2'));
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * fileName()
+   * -------------------------------------------------------------------------*/
+
+  describe('fileName()', function () {
+
+    it('Should insert hash before the extension.', function () {
+      assert.equal(assets.fileName('img/a.png', 'c1d9b7ab0123', true), 'img/a.c1d9b7ab.png');
+    });
+
+    it('Should return filename as is when not hashed.', function () {
+      assert.equal(assets.fileName('img/a.png', 'c1d9b7ab0123', false), 'img/a.png');
+    });
+
+  });
+
+});
\ No newline at end of file
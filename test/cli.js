@@ -0,0 +1,184 @@
+/*!
+ * test/cli.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var fs   = require('fs');
+var path = require('path');
+
+// 3rd party
+var assert = require('chai').assert;
+var rimraf = require('rimraf');
+
+// lib
+var cli = require('../lib/cli');
+
+
+/* -----------------------------------------------------------------------------
+ * helpers
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Create io object capturing output.
+ */
+var createIo = function () {
+  var io = { cwd: path.resolve(__dirname, './fixtures/cli'), out: '', err: '' };
+
+  io.stdout = { write: function (str) { io.out += str; } };
+  io.stderr = { write: function (str) { io.err += str; } };
+
+  return io;
+};
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('cli.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * parse()
+   * -------------------------------------------------------------------------*/
+
+  describe('parse()', function () {
+
+    it('Should parse command, config and options.', function () {
+      var args = cli.parse(['build', 'docs.json', '--watch', '-n', '--out', 'site']);
+
+      assert.equal(args.command, 'build');
+      assert.equal(args.config, 'docs.json');
+      assert.equal(args.out, 'site');
+      assert.isTrue(args.watch);
+      assert.isTrue(args.dryRun);
+    });
+
+    it('Should default to build without config.', function () {
+      var args = cli.parse(['--out=site']);
+
+      assert.equal(args.command, 'build');
+      assert.isNull(args.config);
+      assert.equal(args.out, 'site');
+    });
+
+    it('Should throw for unknown options and missing values.', function () {
+      assert.throws(function () { cli.parse(['--nope']); }, /unknown option --nope/);
+      assert.throws(function () { cli.parse(['-o']); }, /-o requires a directory/);
+      assert.throws(function () { cli.parse(['a.json', 'b.json']); }, /unexpected argument b\.json/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * validate()
+   * -------------------------------------------------------------------------*/
+
+  describe('validate()', function () {
+
+    it('Should return every problem found.', function () {
+      assert.deepEqual(cli.validate({ dest: 1, theme: {}, pages: [{ sections: 'intro.md' }] }), [
+        'dest must be a string',
+        'theme.pageTmpl must be a string',
+        'pages[0].fileName must be a string',
+        'pages[0].sections must be an array of strings'
+      ]);
+    });
+
+    it('Should require theme and pages.', function () {
+      assert.deepEqual(cli.validate({}), ['theme is required', 'pages must be a non-empty array']);
+      assert.deepEqual(cli.validate([]), ['config must be an object']);
+    });
+
+    it('Should accept theme paths and package names.', function () {
+      assert.deepEqual(cli.validate({
+        theme: 'easy-page-theme-default',
+        pages: [{ fileName: 'index.html', sections: ['intro.md'] }]
+      }), []);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * run()
+   * -------------------------------------------------------------------------*/
+
+  describe('run()', function () {
+
+    afterEach(function () {
+      rimraf.sync('./test/fixtures/cli-out');
+      rimraf.sync('./test/fixtures/cli/out');
+    });
+
+    it('Should build every page of the default config.', function (done) {
+      var io = createIo();
+
+      cli.run([], io, function (code) {
+        assert.equal(code, 0);
+        assert.equal(io.out, 'wrote ../cli-out/one.html\nwrote ../cli-out/two.html\n');
+        assert.equal(fs.readFileSync('./test/fixtures/cli-out/two.html', 'utf8'), '<h1>Title</h1>\n');
+        done();
+      });
+    });
+
+    it('Should write pages to `--out` relative to cwd.', function (done) {
+      var io = createIo();
+
+      cli.run(['build', 'easy-page.json', '--out', 'out'], io, function (code) {
+        assert.equal(code, 0);
+        assert.ok(fs.existsSync('./test/fixtures/cli/out/one.html'));
+        done();
+      });
+    });
+
+    it('Should not write pages on `--dry-run`.', function (done) {
+      var io = createIo();
+
+      cli.run(['--dry-run'], io, function (code) {
+        assert.equal(code, 0);
+        assert.equal(io.out, 'would write ../cli-out/one.html\nwould write ../cli-out/two.html\n');
+        assert.notOk(fs.existsSync('./test/fixtures/cli-out'));
+        done();
+      });
+    });
+
+    it('Should exit with 2 for invalid config.', function (done) {
+      var io = createIo();
+
+      cli.run(['invalid.json'], io, function (code) {
+        assert.equal(code, 2);
+        assert.match(io.err, /^error: invalid config:\n  theme\.pageTmpl must be a string\n/);
+        done();
+      });
+    });
+
+    it('Should exit with 2 for missing config.', function (done) {
+      var io = createIo();
+
+      cli.run(['missing.json'], io, function (code) {
+        assert.equal(code, 2);
+        assert.equal(io.err, 'error: config not found: missing.json\n');
+        done();
+      });
+    });
+
+    it('Should exit with 1 when a build fails.', function (done) {
+      var io = createIo();
+
+      cli.run(['broken.json'], io, function (code) {
+        assert.equal(code, 1);
+        assert.match(io.err, /^error: read failed for missing\.md: /);
+        done();
+      });
+    });
+
+  });
+
+});
\ No newline at end of file
@@ -0,0 +1,132 @@
+/*!
+ * test/code-block.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var codeBlock = require('../lib/code-block');
+
+
+/* -----------------------------------------------------------------------------
+ * helpers
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Fake highlighter which only knows js.
+ */
+var highlight = function (code, lang) {
+  if (lang !== 'js') {
+    throw new Error('Unknown language: ' + lang);
+  }
+
+  return code.replace(/(\/\*[\s\S]*?\*\/)/g, '<span class="comment">$1</span>');
+};
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('code-block.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * normalize()
+   * -------------------------------------------------------------------------*/
+
+  describe('normalize()', function () {
+
+    it('Should attach line ranges to fence language.', function () {
+      assert.equal(codeBlock.normalize('```js {3, 5-7}\na\n```'), '```js{3,5-7}\na\n```');
+      assert.equal(codeBlock.normalize('~~~ js {1}\na\n~~~'), '~~~ js{1}\na\n~~~');
+    });
+
+    it('Should leave other fences untouched.', function () {
+      assert.equal(codeBlock.normalize('```js\na {1}\n```'), '```js\na {1}\n```');
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * info()
+   * -------------------------------------------------------------------------*/
+
+  describe('info()', function () {
+
+    it('Should split language and line ranges.', function () {
+      assert.deepEqual(codeBlock.info('js{3,5-7}'), { lang: 'js', lines: [3, 5, 6, 7] });
+      assert.deepEqual(codeBlock.info('js'), { lang: 'js', lines: [] });
+      assert.deepEqual(codeBlock.info(undefined), { lang: '', lines: [] });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * render()
+   * -------------------------------------------------------------------------*/
+
+  describe('render()', function () {
+
+    it('Should render language class and highlighted code.', function () {
+      var html = codeBlock.render('/* a */', 'js', { highlight: highlight });
+      assert.equal(html, '<pre><code class="lang-js"><span class="comment">/* a */</span>\n</code></pre>\n');
+    });
+
+    it('Should fall back to escaped code for unknown languages.', function () {
+      var html = codeBlock.render('<a>', 'xyz', { highlight: highlight });
+      assert.equal(html, '<pre><code class="lang-xyz">&lt;a&gt;\n</code></pre>\n');
+    });
+
+    it('Should render code without language.', function () {
+      var html = codeBlock.render('a', undefined, {});
+      assert.equal(html, '<pre><code>a\n</code></pre>\n');
+    });
+
+    it('Should number lines.', function () {
+      var html = codeBlock.render('a\nb', 'txt', { lineNumbers: true });
+
+      var expected = '';
+      expected += '<pre class="line-numbers"><code class="lang-txt">';
+      expected += '<span class="line" data-line="1">a</span>\n';
+      expected += '<span class="line" data-line="2">b</span>\n';
+      expected += '</code></pre>\n';
+
+      assert.equal(html, expected);
+    });
+
+    it('Should mark highlighted lines.', function () {
+      var html = codeBlock.render('a\nb\nc', 'txt{2-3}', {});
+      assert.include(html, '<span class="line" data-line="1">a</span>');
+      assert.include(html, '<span class="line highlighted" data-line="2">b</span>');
+      assert.include(html, '<span class="line highlighted" data-line="3">c</span>');
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * lines()
+   * -------------------------------------------------------------------------*/
+
+  describe('lines()', function () {
+
+    it('Should re-open tags spanning multiple lines.', function () {
+      assert.deepEqual(codeBlock.lines('<i>a\n<b>b</b>\nc</i>d'), [
+        '<i>a</i>',
+        '<i><b>b</b></i>',
+        '<i>c</i>d'
+      ]);
+    });
+
+  });
+
+});
\ No newline at end of file
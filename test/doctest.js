@@ -0,0 +1,170 @@
+/*!
+ * test/doctest.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var _      = require('easy-utils');
+var assert = require('chai').assert;
+
+// lib
+var doctest = require('../lib/doctest');
+
+
+/* -----------------------------------------------------------------------------
+ * reusable
+ * ---------------------------------------------------------------------------*/
+
+var samples = [
+  '# Samples',
+  '',
+  '```js run',
+  'var add = function (a, b) { return a + b; };',
+  'add(1, 2); // => 3',
+  'console.log(\'sum\', add(2, 2));',
+  '```',
+  '',
+  '```output',
+  'sum 4',
+  '```',
+  '',
+  '```js',
+  'notRun(); // => 1',
+  '```'
+].join('\n');
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('doctest.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * blocks()
+   * -------------------------------------------------------------------------*/
+
+  describe('blocks()', function () {
+
+    it('Should return fenced blocks with their lines.', function () {
+      var blocks = doctest.blocks(samples);
+      assert.deepEqual(_.pluck(blocks, 'lang'), ['js', 'output', 'js']);
+      assert.deepEqual(_.pluck(blocks, 'start'), [2, 8, 12]);
+      assert.deepEqual(_.pluck(blocks, 'end'), [6, 10, 14]);
+      assert.deepEqual(_.pluck(blocks, 'run'), [true, false, false]);
+    });
+
+    it('Should pair runnable blocks with a following output block.', function () {
+      var blocks = doctest.blocks(samples);
+      assert.equal(blocks[0].output, blocks[1]);
+      assert.equal(blocks[0].output.code, 'sum 4');
+    });
+
+    it('Should not pair output blocks separated by content.', function () {
+      var blocks = doctest.blocks('```js run\n1;\n```\ntext\n```output\n1\n```');
+      assert.isUndefined(blocks[0].output);
+    });
+
+    it('Should ignore fences within longer fences.', function () {
+      var blocks = doctest.blocks('````md\n```js run\n1;\n```\n````');
+      assert.equal(blocks.length, 1);
+      assert.equal(blocks[0].lang, 'md');
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * strip()
+   * -------------------------------------------------------------------------*/
+
+  describe('strip()', function () {
+
+    it('Should only strip run markers of runnable blocks.', function () {
+      var contents = '``` js run {2}\n1;\n```\n\n````md\n```js run\n````\n\n```sh run\n```';
+      assert.equal(doctest.strip(contents), '``` js {2}\n1;\n```\n\n````md\n```js run\n````\n\n```sh run\n```');
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * verify()
+   * -------------------------------------------------------------------------*/
+
+  describe('verify()', function () {
+
+    it('Should pass matching expectations and output.', function () {
+      var result = doctest.verify(samples);
+      assert.deepEqual(result.errors, []);
+    });
+
+    it('Should strip run markers from contents.', function () {
+      var result = doctest.verify(samples);
+      assert.equal(result.contents, samples.replace('```js run', '```js'));
+    });
+
+    it('Should report mismatched expectations with their line.', function () {
+      var result = doctest.verify(samples.replace('// => 3', '// => 4'));
+      assert.equal(result.errors.length, 1);
+      assert.equal(result.errors[0].message, 'doctest expected 4 but got 3');
+      assert.equal(result.errors[0].lineNumber, 5);
+    });
+
+    it('Should report mismatched output with the line of the output block.', function () {
+      var result = doctest.verify(samples.replace('sum 4', 'sum 5'));
+      assert.equal(result.errors[0].message, 'doctest expected output "sum 5" but got "sum 4"');
+      assert.equal(result.errors[0].lineNumber, 9);
+    });
+
+    it('Should report thrown errors with the line their code starts on.', function () {
+      var result = doctest.verify('text\n```js run\n1; // => 1\nthrow new Error(\'nope\');\n```');
+      assert.equal(result.errors[0].message, 'doctest threw Error: nope');
+      assert.equal(result.errors[0].lineNumber, 4);
+    });
+
+    it('Should share context between blocks.', function () {
+      var result = doctest.verify('```js run\nvar a = 1;\n```\n\n```js run\na + 1; // => 2\n```');
+      assert.deepEqual(result.errors, []);
+    });
+
+    it('Should compare values by their representation.', function () {
+      var result = doctest.verify([
+        '```js run',
+        '\'a\' + \'b\'; // => \'ab\'',
+        '\'a\' + \'b\'; // => "ab"',
+        '({ a: [1, 2] }); // => { a: [ 1, 2 ] }',
+        '({ a: [1, 2] }); // => {"a":[1,2]}',
+        'undefined; // => undefined',
+        '```'
+      ].join('\n'));
+
+      assert.deepEqual(result.errors, []);
+    });
+
+    it('Should not expose node globals unless provided.', function () {
+      var result = doctest.verify('```js run\ntypeof require; // => \'undefined\'\ntypeof lib; // => \'object\'\n```', {
+        globals: { lib: {} }
+      });
+
+      assert.deepEqual(result.errors, []);
+    });
+
+    it('Should stop blocks running longer than `opts.timeout`.', function () {
+      var result = doctest.verify('```js run\nwhile (true) {}\n```', { timeout: 50 });
+      assert.match(result.errors[0].message, /^doctest threw Error: Script execution timed out/);
+    });
+
+    it('Should insert output after blocks without output when `opts.insertOutput` is set.', function () {
+      var result = doctest.verify('```js run\nconsole.log(1);\n```\ntext', { insertOutput: true });
+      assert.equal(result.contents, '```js\nconsole.log(1);\n```\n\n```output\n1\n```\ntext');
+    });
+
+  });
+
+});
\ No newline at end of file
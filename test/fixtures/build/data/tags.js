@@ -0,0 +1,5 @@
+module.exports = function (callback) {
+  process.nextTick(function () {
+    callback(null, ['v0.2.0', 'v0.1.0']);
+  });
+};
\ No newline at end of file
@@ -0,0 +1,47 @@
+/*!
+ * widget.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/**
+ * @public
+ * @constructor
+ *
+ * @desc Create a widget.
+ *
+ * @param {string} name - Widget name.
+ * @param {object} opts - Widget opts.
+ * @param {string|number} opts.size - Widget size.
+ */
+var Widget = function (name, opts) {
+  this.name = name;
+  this.opts = opts || {};
+};
+
+/**
+ * @public
+ * @memberof Widget
+ *
+ * @desc Render widget.
+ *
+ * @example
+ * new Widget('button').render(); // => '<button>'
+ *
+ * @returns {string} html - Rendered widget.
+ */
+Widget.prototype.render = function () {
+  return '<' + this.name + '>';
+};
+
+/**
+ * @private
+ * @memberof Widget
+ *
+ * @desc Reset widget opts.
+ */
+Widget.prototype._reset = function () {
+  this.opts = {};
+};
+
+module.exports = Widget;
\ No newline at end of file
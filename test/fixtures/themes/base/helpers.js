@@ -0,0 +1,5 @@
+module.exports = {
+  shout: function (str) {
+    return str.toUpperCase();
+  }
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+/*!
+ * test/front-matter.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var frontMatter = require('../lib/front-matter');
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('front-matter.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * parse()
+   * -------------------------------------------------------------------------*/
+
+  describe('parse()', function () {
+
+    it('Should return contents untouched when no front matter exists.', function () {
+      var parsed = frontMatter.parse('# Title\n---\n');
+      assert.equal(parsed.body, '# Title\n---\n');
+      assert.deepEqual(parsed.attributes, {});
+    });
+
+    it('Should parse and strip YAML front matter.', function () {
+      var parsed = frontMatter.parse('---\ntitle: Intro\norder: 2\ntags: [a, b]\n---\n# Intro');
+      assert.equal(parsed.body, '# Intro');
+      assert.deepEqual(parsed.attributes, {
+        title: 'Intro',
+        order: 2,
+        tags: ['a', 'b']
+      });
+    });
+
+    it('Should parse and strip JSON front matter.', function () {
+      var parsed = frontMatter.parse(';;;\n"title": "Intro",\n"hidden": true\n;;;\n# Intro');
+      assert.equal(parsed.body, '# Intro');
+      assert.equal(parsed.attributes.title, 'Intro');
+      assert.isTrue(parsed.attributes.hidden);
+    });
+
+    it('Should parse an empty front matter block.', function () {
+      var parsed = frontMatter.parse('---\n---\n# Intro');
+      assert.equal(parsed.body, '# Intro');
+    });
+
+    it('Should split comma separated tags.', function () {
+      var parsed = frontMatter.parse('---\ntags: a, b\n---\n');
+      assert.deepEqual(parsed.attributes.tags, ['a', 'b']);
+    });
+
+    it('Should throw if front matter is not an object.', function () {
+      assert.throws(function () {
+        frontMatter.parse('---\n- a\n- b\n---\n');
+      }, /front matter must be an object/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * defaults()
+   * -------------------------------------------------------------------------*/
+
+  describe('defaults()', function () {
+
+    it('Should add defaults without changing attributes.', function () {
+      var attributes = { title: 'Intro', hidden: true };
+      assert.deepEqual(frontMatter.defaults(attributes), { title: 'Intro', tags: [], hidden: true });
+      assert.deepEqual(attributes, { title: 'Intro', hidden: true });
+    });
+
+  });
+
+});
\ No newline at end of file
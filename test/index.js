@@ -0,0 +1,34 @@
+/*!
+ * test/index.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var easyPage = require('../');
+var Page     = require('../lib/page');
+var Site     = require('../lib/site');
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('index.js', function () {
+
+  it('Should export `Page`.', function () {
+    assert.equal(easyPage, Page);
+  });
+
+  it('Should expose `Site`.', function () {
+    assert.equal(easyPage.Site, Site);
+  });
+
+});
\ No newline at end of file
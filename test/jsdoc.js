@@ -0,0 +1,127 @@
+/*!
+ * test/jsdoc.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var fs = require('fs');
+
+// 3rd party
+var _      = require('easy-utils');
+var assert = require('chai').assert;
+
+// lib
+var jsdoc = require('../lib/jsdoc');
+
+
+/* -----------------------------------------------------------------------------
+ * reusable
+ * ---------------------------------------------------------------------------*/
+
+var source = fs.readFileSync('./test/fixtures/build/docs/api/widget.js', 'utf8');
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('jsdoc.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * parse()
+   * -------------------------------------------------------------------------*/
+
+  describe('parse()', function () {
+
+    it('Should parse every doc comment.', function () {
+      var docs = jsdoc.parse(source);
+      assert.deepEqual(_.pluck(docs, 'name'), ['Widget', 'render', '_reset']);
+      assert.deepEqual(_.pluck(docs, 'kind'), ['class', 'function', 'function']);
+      assert.deepEqual(_.pluck(docs, 'access'), ['public', 'public', 'private']);
+    });
+
+    it('Should parse params and returns.', function () {
+      var docs = jsdoc.parse(source);
+      assert.deepEqual(docs[0].params[2], {
+        name: 'opts.size',
+        type: 'string|number',
+        desc: 'Widget size.',
+        optional: false
+      });
+      assert.equal(docs[0].signature, 'new Widget(name, opts)');
+      assert.equal(docs[1].returns.type, 'string');
+      assert.equal(docs[1].returns.desc, 'Rendered widget.');
+      assert.deepEqual(docs[1].examples, ['new Widget(\'button\').render(); // => \'<button>\'']);
+    });
+
+    it('Should keep relative indentation of descriptions.', function () {
+      var docs = jsdoc.parse([
+        '/**',
+        ' * @desc Options:',
+        ' *',
+        ' *   - `a`: First',
+        ' *     continued.',
+        ' */',
+        'var options = {};'
+      ].join('\n'));
+
+      assert.equal(docs[0].desc, 'Options:\n\n- `a`: First\n  continued.');
+    });
+
+    it('Should use untagged text as description.', function () {
+      var docs = jsdoc.parse('/**\n * Add numbers.\n *\n * @param {number} [a] - First.\n */\nfunction add(a) {}');
+      assert.equal(docs[0].name, 'add');
+      assert.equal(docs[0].desc, 'Add numbers.');
+      assert.isTrue(docs[0].params[0].optional);
+      assert.equal(docs[0].params[0].name, 'a');
+    });
+
+    it('Should prefix static members with their owner.', function () {
+      var docs = jsdoc.parse('/**\n * @memberof utils\n * @param {string} str - String.\n */\nutils.trim = function (str) {};');
+      assert.equal(docs[0].memberof, 'utils');
+      assert.equal(docs[0].heading, 'utils.trim(str)');
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * group()
+   * -------------------------------------------------------------------------*/
+
+  describe('group()', function () {
+
+    it('Should group public members by class.', function () {
+      var classes = jsdoc.group(jsdoc.parse(source));
+      assert.deepEqual(_.pluck(classes, 'name'), ['Widget']);
+      assert.deepEqual(_.pluck(classes[0].members, 'name'), ['render']);
+    });
+
+    it('Should include private members when `opts.private` is set.', function () {
+      var classes = jsdoc.group(jsdoc.parse(source), { private: true });
+      assert.deepEqual(_.pluck(classes[0].members, 'name'), ['render', '_reset']);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * helpers
+   * -------------------------------------------------------------------------*/
+
+  describe('helpers', function () {
+
+    it('Should make text safe to use within table cells.', function () {
+      assert.equal(jsdoc.helpers.apiCell('a |\n b'), 'a &#124; b');
+      assert.equal(jsdoc.helpers.apiCell('<a>|b', true), '<code>&lt;a&gt;&#124;b</code>');
+      assert.equal(jsdoc.helpers.apiCell('', true), '');
+    });
+
+  });
+
+});
\ No newline at end of file
@@ -0,0 +1,161 @@
+/*!
+ * test/linker.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var linker = require('../lib/linker');
+
+
+/* -----------------------------------------------------------------------------
+ * reusable
+ * ---------------------------------------------------------------------------*/
+
+var sections = [{
+  key: 'intro.md.hbs',
+  meta: { title: 'Introduction' },
+  history: [
+    { text: 'Title', slug: 'title' },
+    { text: 'Options', slug: 'options' }
+  ]
+}, {
+  key: 'api/config.md',
+  meta: {},
+  history: [
+    { text: 'Config', slug: 'config' },
+    { text: 'Options', slug: 'options-1' }
+  ]
+}, {
+  key: 'empty.md',
+  meta: {},
+  history: []
+}];
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('linker.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * refs()
+   * -------------------------------------------------------------------------*/
+
+  describe('refs()', function () {
+
+    it('Should map section ids to page ids.', function () {
+      var refs = linker.refs(sections);
+
+      assert.deepEqual(refs['api/config.md'], {
+        url: '',
+        title: 'Config',
+        first: 'config',
+        ids: {
+          config: { id: 'config', text: 'Config' },
+          options: { id: 'options-1', text: 'Options' }
+        }
+      });
+      assert.equal(refs['intro.md.hbs'].title, 'Introduction');
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * resolve()
+   * -------------------------------------------------------------------------*/
+
+  describe('resolve()', function () {
+
+    beforeEach(function () {
+      this.refs = linker.refs(sections);
+    });
+
+    it('Should resolve html links to sections.', function () {
+      var result = linker.resolve('<a href="api/config.md#options">a</a><a href="./intro.md">b</a>', this.refs);
+      assert.equal(result.contents, '<a href="#options-1">a</a><a href="#title">b</a>');
+      assert.lengthOf(result.broken, 0);
+    });
+
+    it('Should resolve markdown links to sections.', function () {
+      var result = linker.resolve('[a](api/config#options "Title") [b](http://x.md)', this.refs, true);
+      assert.equal(result.contents, '[a](#options-1 "Title") [b](http://x.md)');
+    });
+
+    it('Should resolve wiki links to sections.', function () {
+      assert.equal(linker.resolve('[[api/config#options]] [[intro|Start]]', this.refs).contents,
+        '<a href="#options-1">Options</a> <a href="#title">Start</a>');
+      assert.equal(linker.resolve('[[intro.md]]', this.refs, true).contents,
+        '[Introduction](#title)');
+    });
+
+    it('Should ignore table of contents markers.', function () {
+      var result = linker.resolve('[[TOC]] [[TOC depth=2]]', this.refs);
+      assert.equal(result.contents, '[[TOC]] [[TOC depth=2]]');
+      assert.lengthOf(result.broken, 0);
+    });
+
+    it('Should prefix url of sections on other pages.', function () {
+      this.refs['api/config.md'].url = 'api.html';
+
+      var result = linker.resolve('[[api/config#options]]', this.refs, true);
+      assert.equal(result.contents, '[Options](api.html#options-1)');
+    });
+
+    it('Should leave other relative links untouched.', function () {
+      var result = linker.resolve('<a href="img.png">a</a><a href="#x">b</a>', this.refs);
+      assert.equal(result.contents, '<a href="img.png">a</a><a href="#x">b</a>');
+      assert.lengthOf(result.broken, 0);
+    });
+
+    it('Should only resolve links with section or transformer extensions.', function () {
+      this.refs['notes.txt'] = this.refs['intro.md.hbs'];
+
+      var result = linker.resolve('[a](intro.pdf) [b](intro.html#title) [c](notes.txt) [d](intro.md)', this.refs, true);
+
+      assert.equal(result.contents, '[a](intro.pdf) [b](intro.html#title) [c](#title) [d](#title)');
+      assert.lengthOf(result.broken, 0);
+    });
+
+    it('Should use provided transformer extensions.', function () {
+      var result = linker.resolve('[a](intro.rst) [b](missing.rst) [c](missing.txt)', this.refs, true, ['rst']);
+
+      assert.equal(result.contents, '[a](#title) [b](missing.rst) [c](missing.txt)');
+      assert.deepEqual(result.broken, [{ link: 'missing.rst', reason: 'unknown section' }]);
+    });
+
+    it('Should leave references within code untouched.', function () {
+      var html = '<code>[[intro]]</code> <pre><code>[[missing]] <a href="intro.md">a</a></code></pre>';
+      var md = '`[[intro]]` [b](intro.md)\n\n```\n[a](missing.md) [[missing]]\n```';
+
+      var result = linker.resolve(html, this.refs);
+      assert.equal(result.contents, html);
+      assert.lengthOf(result.broken, 0);
+
+      result = linker.resolve(md, this.refs, true);
+      assert.equal(result.contents, '`[[intro]]` [b](#title)\n\n```\n[a](missing.md) [[missing]]\n```');
+      assert.lengthOf(result.broken, 0);
+    });
+
+    it('Should report broken links.', function () {
+      var result = linker.resolve('[a](missing.md) [[intro#nope]] [[empty]]', this.refs, true);
+      assert.equal(result.contents, '[a](missing.md) [[intro#nope]] [[empty]]');
+      assert.deepEqual(result.broken, [
+        { link: 'missing.md', reason: 'unknown section' },
+        { link: '[[intro#nope]]', reason: 'unknown heading' },
+        { link: '[[empty]]', reason: 'section has no headings' }
+      ]);
+    });
+
+  });
+
+});
\ No newline at end of file
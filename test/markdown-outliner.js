@@ -0,0 +1,136 @@
+/*!
+ * test/markdown-outliner.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var mdOutliner = require('../lib/markdown-outliner');
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('markdown-outliner.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * headings()
+   * -------------------------------------------------------------------------*/
+
+  describe('headings()', function () {
+
+    it('Should find ATX headings.', function () {
+      var headings = mdOutliner.headings('# One\n\n## Two ##\ntext\n#no');
+      assert.deepEqual(headings, [
+        { level: 1, raw: 'One', line: 0 },
+        { level: 2, raw: 'Two', line: 2 }
+      ]);
+    });
+
+    it('Should find setext headings.', function () {
+      var headings = mdOutliner.headings('One\n===\n\nTwo\n---\n\n- item\n---');
+      assert.deepEqual(headings, [
+        { level: 1, raw: 'One', line: 0 },
+        { level: 2, raw: 'Two', line: 3 }
+      ]);
+    });
+
+    it('Should skip headings within fenced code.', function () {
+      var headings = mdOutliner.headings('```sh\n# comment\n```\n~~~~\n# comment\n```\n~~~~\n# One');
+      assert.deepEqual(headings, [
+        { level: 1, raw: 'One', line: 7 }
+      ]);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * outline()
+   * -------------------------------------------------------------------------*/
+
+  describe('outline()', function () {
+
+    it('Should create nested outline.', function () {
+      var outline = mdOutliner.outline('# H1 - 1\n## H2 - 1\n### H3 - 1\n# H1 - 2');
+      assert.equal(outline[0].text, 'H1 - 1');
+      assert.equal(outline[0].url, '#h1---1');
+      assert.equal(outline[0].children[0].text, 'H2 - 1');
+      assert.equal(outline[0].children[0].children[0].text, 'H3 - 1');
+      assert.equal(outline[1].text, 'H1 - 2');
+    });
+
+    it('Should strip inline markup from text.', function () {
+      var outline = mdOutliner.outline('# The `opts` [object](#opts)');
+      assert.equal(outline[0].text, 'The opts object');
+      assert.equal(outline[0].url, '#the-opts-object');
+    });
+
+    it('Should respect depth.', function () {
+      var outline = mdOutliner.outline('# 1\n## 2\n### 3', 2);
+      assert.equal(outline[0].children[0].children.length, 0);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * openFence() / closesFence()
+   * -------------------------------------------------------------------------*/
+
+  describe('openFence() / closesFence()', function () {
+
+    it('Should parse fence and info string.', function () {
+      assert.deepEqual(mdOutliner.openFence('  ````js run '), { fence: '````', info: 'js run' });
+      assert.deepEqual(mdOutliner.openFence('~~~ a`b'), { fence: '~~~', info: 'a`b' });
+      assert.isNull(mdOutliner.openFence('``` a`b'));
+      assert.isNull(mdOutliner.openFence('    ```'));
+    });
+
+    it('Should only close with a matching fence.', function () {
+      assert.ok(mdOutliner.closesFence('`````', '````'));
+      assert.notOk(mdOutliner.closesFence('```', '````'));
+      assert.notOk(mdOutliner.closesFence('~~~~', '```'));
+      assert.notOk(mdOutliner.closesFence('``` js', '```'));
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * replaceOutsideCode()
+   * -------------------------------------------------------------------------*/
+
+  describe('replaceOutsideCode()', function () {
+
+    var replace = function (contents) {
+      return mdOutliner.replaceOutsideCode(contents, /\[\[(\w+)\]\]/, function (match, key) {
+        return key.toUpperCase();
+      });
+    };
+
+    it('Should replace matches passing pattern groups.', function () {
+      assert.equal(replace('[[a]] and [[b]]'), 'A and B');
+    });
+
+    it('Should skip inline code and code elements.', function () {
+      assert.equal(replace('`[[a]]` <code>[[b]]</code> <pre>\n[[c]]\n</pre> [[d]]'),
+        '`[[a]]` <code>[[b]]</code> <pre>\n[[c]]\n</pre> D');
+    });
+
+    it('Should skip fenced code until its matching fence.', function () {
+      assert.equal(replace('````md\n[[a]]\n```\n[[b]]\n````\n[[c]]\n~~~\n[[d]]'),
+        '````md\n[[a]]\n```\n[[b]]\n````\nC\n~~~\n[[d]]');
+    });
+
+  });
+
+});
\ No newline at end of file
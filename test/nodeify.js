@@ -0,0 +1,53 @@
+/*!
+ * test/nodeify.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var nodeify = require('../lib/nodeify');
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('nodeify.js', function () {
+
+  it('Should execute callback when specified.', function (done) {
+    var result = nodeify(function (callback) {
+      callback(null, 'value');
+    }, function (err, value) {
+      assert.equal(value, 'value');
+      done();
+    });
+
+    assert.isUndefined(result);
+  });
+
+  it('Should resolve promise when callback is omitted.', function () {
+    return nodeify(function (callback) {
+      callback(null, 'value');
+    }).then(function (value) {
+      assert.equal(value, 'value');
+    });
+  });
+
+  it('Should reject promise on error.', function () {
+    return nodeify(function (callback) {
+      callback(new Error('fail'));
+    }).then(function () {
+      throw new Error('expected rejection');
+    }, function (err) {
+      assert.equal(err.message, 'fail');
+    });
+  });
+
+});
\ No newline at end of file
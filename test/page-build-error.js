@@ -0,0 +1,109 @@
+/*!
+ * test/page-build-error.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var PageBuildError = require('../lib/page-build-error');
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('page-build-error.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * wrap()
+   * -------------------------------------------------------------------------*/
+
+  describe('wrap()', function () {
+
+    it('Should add section, stage and cause to error.', function () {
+      var cause = new Error('boom');
+      var err = PageBuildError.wrap(cause, { section: 'intro.md', path: '/docs/intro.md', stage: 'compile' });
+
+      assert.instanceOf(err, Error);
+      assert.instanceOf(err, PageBuildError);
+      assert.equal(err.message, 'compile failed for intro.md: boom');
+      assert.equal(err.path, '/docs/intro.md');
+      assert.equal(err.cause, cause);
+      assert.isNull(err.line);
+    });
+
+    it('Should describe errors without section by path.', function () {
+      var err = PageBuildError.wrap(new Error('boom'), { path: '/page.hbs', stage: 'render' });
+      assert.equal(err.message, 'render failed for /page.hbs: boom');
+    });
+
+    it('Should offset handlebars line numbers.', function () {
+      var cause = new Error('Parse error on line 2:');
+      var err = PageBuildError.wrap(cause, { section: 'intro.hbs', stage: 'template', offset: 3 });
+
+      assert.equal(err.line, 5);
+      assert.equal(err.message, 'template failed for intro.hbs:5: Parse error on line 2:');
+    });
+
+    it('Should add 1-based yaml line and column.', function () {
+      var cause = new Error('bad indentation');
+      cause.mark = { line: 0, column: 4 };
+
+      var err = PageBuildError.wrap(cause, { section: 'intro.md', stage: 'read', offset: 1 });
+      assert.equal(err.line, 2);
+      assert.equal(err.column, 5);
+    });
+
+    it('Should copy error code.', function () {
+      var cause = new Error('missing');
+      cause.code = 'ENOENT';
+
+      assert.equal(PageBuildError.wrap(cause, { section: 'intro.md', stage: 'read' }).code, 'ENOENT');
+    });
+
+    it('Should not rewrap build errors.', function () {
+      var err = new PageBuildError('include cycle detected', { stage: 'read' });
+      assert.equal(PageBuildError.wrap(err, { section: 'intro.md', stage: 'template' }), err);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * aggregate()
+   * -------------------------------------------------------------------------*/
+
+  describe('aggregate()', function () {
+
+    it('Should return single errors as is.', function () {
+      var err = new Error('boom');
+      assert.equal(PageBuildError.aggregate([err]), err);
+    });
+
+    it('Should combine multiple errors.', function () {
+      var errors = [new Error('first'), new Error('second\ndetails')];
+      var err = PageBuildError.aggregate(errors);
+
+      assert.equal(err.message, '2 errors occurred:\n  first\n  second');
+      assert.deepEqual(err.errors, errors);
+    });
+
+    it('Should flatten aggregated errors.', function () {
+      var first = new Error('first');
+      var second = new Error('second');
+      var third = new Error('third');
+      var err = PageBuildError.aggregate([PageBuildError.aggregate([first, second]), third]);
+
+      assert.deepEqual(err.errors, [first, second, third]);
+    });
+
+  });
+
+});
\ No newline at end of file
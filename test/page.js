@@ -14,11 +14,13 @@ var path = require('path');
 
 // 3rd party
 var _      = require('easy-utils');
+var async  = require('async');
 var assert = require('chai').assert;
 var rimraf = require('rimraf');
 
 // lib
-var Page = require('../lib/page');
+var Page           = require('../lib/page');
+var PageBuildError = require('../lib/page-build-error');
 
 
 /* -----------------------------------------------------------------------------
@@ -89,6 +91,34 @@ describe('page.js', function () {
   });
 
 
+  /* ---------------------------------------------------------------------------
+   * _parseSection()
+   * -------------------------------------------------------------------------*/
+
+  describe('_parseSection()', function () {
+
+    beforeEach(function () {
+      this.page = createPage();
+    });
+
+    it('Should execute callback with front matter attributes and body.', function (done) {
+      this.page._parseSection('---\ntitle: Meta\n---\n# Title', function (err, parsed) {
+        assert.equal(parsed.attributes.title, 'Meta');
+        assert.equal(parsed.body, '# Title');
+        done();
+      });
+    });
+
+    it('Should execute callback with error for invalid front matter.', function (done) {
+      this.page._parseSection('---\ntitle: [\n---\n# Title', function (err) {
+        assert.ok(err);
+        done();
+      });
+    });
+
+  });
+
+
   /* ---------------------------------------------------------------------------
    * _compileSection()
    * -------------------------------------------------------------------------*/
@@ -106,68 +136,1193 @@ describe('page.js', function () {
       });
     });
 
+    it('Should highlight code using `theme.highlight`.', function (done) {
+      this.page = createPage({
+        theme: {
+          pageTmpl: pageTmplPath,
+          highlight: function (code, lang) {
+            return '<b>' + lang + '</b>';
+          }
+        }
+      });
+
+      this.page._compileSection('```js {1}\nvar a;\n```', function (err, contents) {
+        assert.equal(contents, '<pre><code class="lang-js"><span class="line highlighted" data-line="1"><b>js</b></span>\n</code></pre>\n');
+        done();
+      });
+    });
+
+    it('Should render callouts.', function (done) {
+      this.page._compileSection(':::tip\nUse *it*.\n:::', function (err, contents) {
+        assert.equal(contents, '<div class="admonition admonition-tip">\n<p class="admonition-title">Tip</p>\n<p>Use <em>it</em>.</p>\n</div>\n');
+        done();
+      });
+    });
+
+    it('Should render callouts using theme partials.', function (done) {
+      this.page = createPage({
+        theme: {
+          pageTmpl: pageTmplPath,
+          partials: {
+            'admonition-warning': path.resolve(__dirname, './fixtures/build/admonition-warning.hbs')
+          }
+        }
+      });
+
+      async.series([
+        this.page._loadPartials,
+        async.apply(this.page._compileSection, '> [!WARNING] Careful\n> Hot.\n\n> [!NOTE]\n> Default.')
+      ], function (err, results) {
+        assert.include(results[1], '<aside class="warning">Careful: <p>Hot.</p>\n</aside>');
+        assert.include(results[1], '<div class="admonition admonition-note">');
+        done();
+      });
+    });
+
+  });
+
+
+
+  /* ---------------------------------------------------------------------------
+   * _renderApi()
+   * -------------------------------------------------------------------------*/
+
+  describe('_renderApi()', function () {
+
+    beforeEach(function () {
+      this.page = createPage();
+      this.source = fs.readFileSync('./test/fixtures/build/docs/api/widget.js', 'utf8');
+      this.context = { key: 'api/widget.js', data: {} };
+    });
+
+    it('Should render public members grouped by class.', function (done) {
+      this.page._renderApi(this.source, this.context, function (err, contents) {
+        assert.include(contents, '# Widget\n\n`new Widget(name, opts)`\n\nCreate a widget.');
+        assert.include(contents, '| `opts.size` | <code>string&#124;number</code> | Widget size. |');
+        assert.include(contents, '## render()\n\nRender widget.');
+        assert.include(contents, '**Returns** <code>string</code> Rendered widget.');
+        assert.notInclude(contents, '_reset');
+        done();
+      });
+    });
+
+    it('Should include private members when `opts.api.private` is set.', function (done) {
+      this.page.opts.api = { private: true };
+
+      this.page._renderApi(this.source, this.context, function (err, contents) {
+        assert.include(contents, '## _reset()\n\nReset widget opts.');
+        done();
+      });
+    });
+
+    it('Should render using the theme `api` partial when provided.', function (done) {
+      this.page.partials.api = fs.readFileSync('./test/fixtures/build/api.hbs', 'utf8');
+
+      this.page._renderApi(this.source, this.context, function (err, contents) {
+        assert.equal(contents, '# Widget API');
+        done();
+      });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * _getSection()
+   * -------------------------------------------------------------------------*/
+
+  describe('_getSection()', function () {
+
+    beforeEach(function () {
+      this.page = createPage({
+        contents: { 'existing': 'existing section contents' }
+      });
+    });
+
+    it('Should execute callback with read file contents.', function (done) {
+      this.page._getSection('section-1.md.hbs', function (err, contents) {
+        assert.equal(contents, '# {{ title }}');
+        done();
+      });
+    });
+
+    it('Should execute callback with `opts.contents` contents.', function (done) {
+      this.page._getSection('existing', function (err, contents) {
+        assert.equal(contents, 'existing section contents');
+        done();
+      });
+    });
+
+    it('Should execute callback with localized contents.', function (done) {
+      var page = createPage({ locales: ['en', 'fr'], locale: 'fr' });
+
+      page._getSection('section-2.md', function (err, contents, fallback) {
+        assert.equal(contents, '# Titre');
+        assert.isFalse(fallback);
+        done();
+      });
+    });
+
+    it('Should fall back to the default section.', function (done) {
+      var page = createPage({ locales: ['en', 'fr'], locale: 'fr' });
+
+      page._getSection('section-1.md.hbs', function (err, contents, fallback) {
+        assert.equal(contents, '# {{ title }}');
+        assert.isTrue(fallback);
+        done();
+      });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * _buildSection()
+   * -------------------------------------------------------------------------*/
+
+  describe('_buildSection()', function () {
+
+    beforeEach(function () {
+      this.page = createPage({
+        data: { title: 'Title' }
+      });
+    });
+
+    it('Should execute callback with templated contents.', function (done) {
+      this.page._buildSection('section-3.hbs', function (err, contents) {
+        assert.equal(contents, '<h1>Title</h1>');
+        done();
+      });
+    });
+
+    it('Should execute callback with compiled contents', function (done) {
+      this.page._buildSection('section-2.md', function (err, contents) {
+        assert.equal(contents, '<h1><a id="title" href="#title" class="anchor" name="title"><span class="header-link"></span></a>Title</h1>');
+        done();
+      });
+    });
+
+    it('Should execute callback with templated and compiled contents.', function (done) {
+      this.page._buildSection('section-1.md.hbs', function (err, contents) {
+        assert.equal(contents, '<h1><a id="title" href="#title" class="anchor" name="title"><span class="header-link"></span></a>Title</h1>');
+        done();
+      });
+    });
+
+    it('Should template contents with front matter and pass along attributes.', function (done) {
+      this.page._buildSection('section-4.md.hbs', function (err, contents, meta) {
+        assert.equal(contents, '<h1><a id="meta" href="#meta" class="anchor" name="meta"><span class="header-link"></span></a>Meta</h1>');
+        assert.equal(meta.title, 'Meta');
+        assert.deepEqual(meta.tags, ['api', 'beta']);
+        assert.equal(this.page.opts.data.title, 'Title');
+        done();
+      }.bind(this));
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * registerTransformer()
+   * -------------------------------------------------------------------------*/
+
+  describe('registerTransformer()', function () {
+
+    var shout = function (contents, context, callback) {
+      callback(null, contents.toUpperCase() + '!');
+    };
+
+    beforeEach(function () {
+      this.page = createPage({
+        data: { title: 'Title' },
+        contents: {
+          'custom.shout.hbs': '{{ title }}',
+          'custom.hbs.shout': '{{ title }}',
+          'custom.txt': 'plain'
+        }
+      });
+    });
+
+    it('Should apply transformers right-to-left.', function (done) {
+      this.page.registerTransformer('.shout', shout);
+
+      async.series([
+        async.apply(this.page._buildSection, 'custom.shout.hbs'),
+        async.apply(this.page._buildSection, 'custom.hbs.shout')
+      ], function (err, results) {
+        assert.equal(results[0][0], 'TITLE!');
+        // `{{ TITLE }}` is undefined once shouted.
+        assert.equal(results[1][0], '!');
+        done();
+      });
+    });
+
+    it('Should register transformers on translations.', function () {
+      var page = createPage({ locales: ['en', 'fr'] });
+
+      page.registerTransformer('shout', shout);
+      assert.equal(page.translations[0].transformers.shout, shout);
+    });
+
+    it('Should pass through extensions without transformer.', function (done) {
+      this.page._buildSection('custom.txt', function (err, contents) {
+        assert.equal(contents, 'plain');
+        done();
+      });
+    });
+
+    it('Should override built in transformers using `opts.transformers`.', function (done) {
+      this.page = createPage({
+        theme: {
+          pageTmpl: pageTmplPath,
+          transformers: { md: shout }
+        },
+        transformers: {
+          md: function (contents, context, callback) {
+            callback(null, context.key + ':' + contents);
+          }
+        }
+      });
+
+      this.page._buildSection('section-2.md', function (err, contents) {
+        assert.equal(contents, 'section-2.md:# Title');
+        done();
+      });
+    });
+
+    it('Should use `theme.transformers`.', function (done) {
+      this.page = createPage({
+        theme: {
+          pageTmpl: pageTmplPath,
+          transformers: { md: shout }
+        }
+      });
+
+      this.page._buildSection('section-2.md', function (err, contents) {
+        assert.equal(contents, '# TITLE!');
+        done();
+      });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * use()
+   * -------------------------------------------------------------------------*/
+
+  describe('use()', function () {
+
+    beforeEach(function () {
+      this.page = createPage({
+        data: { title: 'Title' },
+        contents: {
+          'a.md.hbs': '# {{ title }}',
+          'b.md': '# B'
+        }
+      });
+    });
+
+    it('Should throw for unknown hooks.', function () {
+      assert.throws(function () {
+        this.page.use({ name: 'broken', afterWrite: function () {} });
+      }.bind(this), /unknown hook afterWrite in plugin broken/);
+    });
+
+    it('Should run section hooks in order.', function (done) {
+      var stages = [];
+
+      this.page.use({
+        afterRead: function (contents, context) {
+          stages.push(context.stage + ':' + context.key);
+          return contents + '!';
+        },
+        afterTemplate: function (contents, context, callback) {
+          callback(null, contents + ' {{ title }}');
+        },
+        beforeCompile: function (contents) {
+          return Promise.resolve(contents.toLowerCase());
+        }
+      });
+
+      this.page.use({
+        beforeCompile: function (contents, context) {
+          stages.push(context.stage + ':' + context.data.title);
+          return contents.replace('!', '');
+        }
+      });
+
+      this.page._buildSection('a.md.hbs', function (err, contents) {
+        assert.deepEqual(stages, ['read:a.md.hbs', 'compile:Title']);
+        assert.include(contents, '>title {{ title }}</h1>');
+        done();
+      });
+    });
+
+    it('Should run section hooks once per section when headings repeat.', function (done) {
+      var calls = [];
+      var record = function (contents, context) {
+        calls.push(context.stage + ':' + context.key);
+      };
+
+      this.page.opts.contents = { 'a.md': '# Title', 'b.md': '# Title\n## Title' };
+      this.page.page.sections = ['a.md', 'b.md'];
+      this.page.use({ afterRead: record, afterCompile: record });
+
+      this.page._addSections(function (err) {
+        assert.deepEqual(calls.sort(), ['compile:a.md', 'compile:b.md', 'read:a.md', 'read:b.md']);
+        assert.include(this.page.opts.data.sections[1], 'id="title-2"');
+        done(err);
+      }.bind(this));
+    });
+
+    it('Should register `opts.plugins`.', function () {
+      var hook = function () {};
+      var page = createPage({ plugins: [{ afterRender: hook }], locales: ['en', 'fr'] });
+
+      assert.deepEqual(page.hooks, { afterRender: [hook] });
+      assert.deepEqual(page.translations[0].hooks, { afterRender: [hook] });
+    });
+
+    it('Should read key returned by `beforeRead`.', function (done) {
+      this.page.use({
+        beforeRead: function (key) {
+          return key === 'a.md.hbs' ? 'b.md' : key;
+        }
+      });
+
+      this.page._buildSection('a.md.hbs', function (err, contents) {
+        assert.include(contents, '>B</h1>');
+        done();
+      });
+    });
+
+    it('Should run outline and render hooks.', function (done) {
+      this.page.page.sections = ['b.md'];
+      this.page.use({
+        afterOutline: function (outline) {
+          outline.push({ level: 1, text: 'Extra', url: '#extra', children: [] });
+        },
+        beforeRender: function (data) {
+          return _.extend({}, data, { sections: data.outline.map(function (node) {
+            return node.text;
+          }) });
+        },
+        afterRender: function (contents) {
+          return contents.replace(/\n/g, '');
+        }
+      });
+
+      this.page.render(function (err, result) {
+        assert.equal(result.contents, 'BExtra');
+        assert.lengthOf(result.data.outline, 2);
+        done();
+      });
+    });
+
+    it('Should execute callback with hook errors.', function (done) {
+      this.page.use({
+        afterTemplate: function () {
+          throw new Error('boom');
+        }
+      });
+
+      this.page._buildSection('a.md.hbs', function (err) {
+        assert.equal(err.stage, 'template');
+        assert.equal(err.message, 'template failed for a.md.hbs: boom');
+        done();
+      });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * _includeSections()
+   * -------------------------------------------------------------------------*/
+
+  describe('_includeSections()', function () {
+
+    beforeEach(function () {
+      this.page = createPage({
+        compile: false,
+        data: { title: 'Title' },
+        contents: { 'existing': '<!-- include: include/install.md -->' }
+      });
+    });
+
+    it('Should replace include markers with built sections.', function (done) {
+      this.page._includeSections('a\n<!-- include: section-3.hbs -->\nb', {}, function (err, contents) {
+        assert.equal(contents, 'a\n<h1>Title</h1>\nb');
+        done();
+      });
+    });
+
+    it('Should leave documented include markers within code untouched.', function (done) {
+      this.page.opts.contents['docs.md'] = [
+        'Use `<!-- include: shared/install.md -->` to include sections:',
+        '',
+        '```html',
+        '<!-- include: shared/install.md -->',
+        '```',
+        '',
+        '<!-- include: section-3.hbs -->'
+      ].join('\n');
+
+      this.page._buildSection('docs.md', function (err, contents) {
+        assert.notOk(err);
+        assert.equal(contents, [
+          'Use `<!-- include: shared/install.md -->` to include sections:',
+          '',
+          '```html',
+          '<!-- include: shared/install.md -->',
+          '```',
+          '',
+          '<h1>Title</h1>'
+        ].join('\n'));
+        done();
+      });
+    });
+
+    it('Should include nested sections and `opts.contents`.', function (done) {
+      this.page._buildSection('include/parent.md.hbs', function (err, contents) {
+        assert.equal(contents, '# Title\n\n# Install\n\n# Install');
+        done();
+      });
+    });
+
+    it('Should execute callback with error showing include chain for cycles.', function (done) {
+      this.page._buildSection('include/cycle-a.md', function (err) {
+        assert.equal(err.message, 'include cycle detected: include/cycle-a.md -> include/cycle-b.md -> include/cycle-a.md');
+        done();
+      });
+    });
+
+    it('Should track included sections as dependencies.', function (done) {
+      this.page._buildSection('include/parent.md.hbs', function (err) {
+        assert.include(this.page.dependencies(), path.resolve('./test/fixtures/build/docs/include/install.md'));
+        done();
+      }.bind(this));
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * _addSections()
+   * -------------------------------------------------------------------------*/
+
+  describe('_addSections()', function () {
+
+    beforeEach(function () {
+      this.page = createPage({
+        data: { title: 'Title' }
+      });
+    });
+
+    it('Should set `sections` property to `opts.data`.', function (done) {
+      this.page._addSections(function (err) {
+        assert.deepEqual(this.page.opts.data.sections, [
+          '<h1><a id="title" href="#title" class="anchor" name="title"><span class="header-link"></span></a>Title</h1>',
+          '<h1><a id="title-1" href="#title-1" class="anchor" name="title-1"><span class="header-link"></span></a>Title</h1>',
+          '<h1>Title</h1>'
+        ]);
+        done();
+      }.bind(this));
+    });
+
+    it('Should rewrite clashing heading ids without rebuilding sections.', function (done) {
+      var md = this.page.transformers.md;
+      var compiled = [];
+
+      this.page.opts.contents = {
+        'a.md': '# Title',
+        'b.md': '# Title\n\n[Top](#title) <span id="title-2"></span>'
+      };
+      this.page.page.sections = ['a.md', 'b.md'];
+      this.page.registerTransformer('md', function (contents, context, callback) {
+        compiled.push(context.key);
+        md.call(this, contents, context, callback);
+      });
+
+      this.page._addSections(function (err) {
+        var section = this.page.opts.data.sections[1];
+
+        assert.deepEqual(compiled, ['a.md', 'b.md']);
+        assert.include(section, '<a id="title-1" href="#title-1" class="anchor" name="title-1">');
+        assert.include(section, '<a href="#title-1">Top</a> <span id="title-2"></span>');
+        assert.deepEqual(this.page.built[1].history, [{ text: 'Title', slug: 'title-1' }]);
+        assert.equal(this.page.refs['b.md'].first, 'title-1');
+        done(err);
+      }.bind(this));
+    });
+
+    it('Should expand glob patterns in `page.sections`.', function (done) {
+      this.page.page.sections = ['section-2.md', 'glob/*.md', '!glob/10-api.md'];
+      this.page.page.sort = 'order';
+
+      this.page._addSections(function (err) {
+        assert.deepEqual(_.pluck(this.page.built, 'key'), [
+          'section-2.md',
+          'glob/2-usage.md',
+          'glob/01-intro.md'
+        ]);
+        assert.equal(this.page.opts.data.sectionsMeta[2].order, 3);
+        done();
+      }.bind(this));
+    });
+
+    it('Should depend on directories searched by glob patterns.', function (done) {
+      this.page.page.sections = ['section-2.md', 'glob/*.md'];
+
+      this.page._addSections(function (err) {
+        assert.include(this.page.dependencies(), path.resolve('./test/fixtures/build/docs/glob'));
+        assert.notInclude(this.page.dependencies(), path.resolve('./test/fixtures/build/docs'));
+        done(err);
+      }.bind(this));
+    });
+
+    it('Should build sections concurrently in order.', function (done) {
+      var active = 0;
+      var maxActive = 0;
+
+      this.page.opts.contents = { 'a.wait': '20', 'b.wait': '0' };
+      this.page.page.sections = ['a.wait', 'b.wait'];
+      this.page.registerTransformer('wait', function (contents, context, callback) {
+        maxActive = Math.max(maxActive, ++active);
+
+        setTimeout(function () {
+          active--;
+          callback(null, context.key);
+        }, parseInt(contents, 10));
+      });
+
+      this.page._addSections(function (err) {
+        assert.equal(maxActive, 2);
+        assert.deepEqual(this.page.opts.data.sections, ['a.wait', 'b.wait']);
+        done();
+      }.bind(this));
+    });
+
+    it('Should generate identical ids when run multiple times.', function (done) {
+      this.page._addSections(function (err) {
+        var first = this.page.opts.data.sections;
+
+        this.page._addSections(function (err) {
+          assert.deepEqual(this.page.opts.data.sections, first);
+          done();
+        }.bind(this));
+      }.bind(this));
+    });
+
+    it('Should generate ids using `opts.slug`.', function (done) {
+      this.page = createPage({
+        data: { title: 'Title' },
+        slug: function (text) {
+          return 'custom-' + text.toLowerCase();
+        }
+      });
+
+      this.page._addSections(function (err) {
+        var sections = this.page.opts.data.sections;
+        assert.include(sections[0], 'id="custom-title"');
+        assert.include(sections[1], 'id="custom-title-1"');
+        done();
+      }.bind(this));
+    });
+
+    it('Should set `sectionsMeta` property to `opts.data`.', function (done) {
+      this.page.page.sections = ['section-2.md', 'section-4.md.hbs'];
+
+      this.page._addSections(function (err) {
+        var meta = this.page.opts.data.sectionsMeta;
+        assert.equal(meta.length, 2);
+        assert.isUndefined(meta[0].title);
+        assert.deepEqual(meta[0].tags, []);
+        assert.isFalse(meta[0].hidden);
+        assert.equal(meta[1].title, 'Meta');
+        done();
+      }.bind(this));
+    });
+
+    it('Should only merge declared front matter over page data.', function (done) {
+      this.page.opts.data.tags = ['global'];
+      this.page.opts.data.hidden = 'yes';
+      this.page.opts.contents = {
+        'plain.hbs': '{{#each tags}}{{this}}{{/each}} {{hidden}}',
+        'tagged.hbs': '---\ntags: local\n---\n{{#each tags}}{{this}}{{/each}} {{hidden}}'
+      };
+      this.page.page.sections = ['plain.hbs', 'tagged.hbs'];
+
+      this.page._addSections(function (err) {
+        assert.deepEqual(this.page.opts.data.sections, ['global yes', 'local yes']);
+        done();
+      }.bind(this));
+    });
+
+    it('Should execute callback with read errors of missing sections.', function (done) {
+      this.page.page.sections = ['missing.md'];
+
+      this.page._addSections(function (err) {
+        assert.instanceOf(err, PageBuildError);
+        assert.equal(err.stage, 'read');
+        assert.equal(err.section, 'missing.md');
+        assert.equal(err.path, path.resolve('./test/fixtures/build/docs/missing.md'));
+        assert.equal(err.code, 'ENOENT');
+        done();
+      }.bind(this));
+    });
+
+    it('Should report template errors relative to the section file.', function (done) {
+      this.page.opts.contents = { 'broken.hbs': '---\ntitle: Broken\n---\nok\n{{foo =}}\n' };
+      this.page.page.sections = ['broken.hbs'];
+
+      this.page._addSections(function (err) {
+        assert.equal(err.stage, 'template');
+        assert.equal(err.section, 'broken.hbs');
+        assert.equal(err.line, 5);
+        assert.match(err.message, /^template failed for broken\.hbs:5: /);
+        done();
+      }.bind(this));
+    });
+
+    it('Should report every failed section when `opts.collectErrors` is set.', function (done) {
+      this.page.opts.collectErrors = true;
+      this.page.opts.contents = { 'broken.hbs': '{{foo =}}', 'invalid.md': '---\ntitle: [\n---\n' };
+      this.page.page.sections = ['section-2.md', 'broken.hbs', 'invalid.md'];
+
+      this.page._addSections(function (err) {
+        assert.match(err.message, /^2 errors occurred:/);
+        assert.deepEqual(_.pluck(err.errors, 'section'), ['broken.hbs', 'invalid.md']);
+        assert.deepEqual(_.pluck(err.errors, 'stage'), ['template', 'read']);
+        done();
+      }.bind(this));
+    });
+
+    it('Should build javascript sections as API references.', function (done) {
+      this.page.page.sections = ['section-2.md', 'api/*.js'];
+
+      this.page._addSections(function (err) {
+        assert.include(this.page.opts.data.sections[1], '<h1><a id="widget" href="#widget"');
+        assert.include(this.page.opts.data.sections[1], '<td><code>opts.size</code></td>');
+
+        this.page._addOutline(function () {
+          var outline = this.page.opts.data.outline;
+          assert.deepEqual(_.pluck(outline, 'text'), ['Title', 'Widget']);
+          assert.equal(outline[1].children[0].text, 'render()');
+          done();
+        }.bind(this));
+      }.bind(this));
+    });
+
+    it('Should report doctest failures relative to the section file.', function (done) {
+      this.page.opts.doctest = true;
+      this.page.opts.contents = {
+        'samples.md': '---\ntitle: Samples\n---\n```js run\n1 + 1; // => 3\n```\n\n```js run\nmissing();\n```\n'
+      };
+      this.page.page.sections = ['samples.md'];
+
+      this.page._addSections(function (err) {
+        assert.match(err.message, /^2 errors occurred:/);
+        assert.deepEqual(_.pluck(err.errors, 'line'), [5, 9]);
+        assert.deepEqual(_.pluck(err.errors, 'stage'), ['compile', 'compile']);
+        assert.match(err.errors[0].message, /^compile failed for samples\.md:5: doctest expected 3 but got 2$/);
+        assert.match(err.errors[1].message, /doctest threw ReferenceError: missing is not defined$/);
+        done();
+      }.bind(this));
+    });
+
+    it('Should insert logged output of code samples when `opts.doctest.insertOutput` is set.', function (done) {
+      this.page.opts.doctest = { insertOutput: true };
+      this.page.opts.contents = { 'samples.md': '```js run\nconsole.log(1 + 1);\n```\n' };
+      this.page.page.sections = ['samples.md'];
+
+      this.page._addSections(function (err) {
+        assert.notOk(err);
+        assert.include(this.page.opts.data.sections[0], '<code class="lang-js">console.log(1 + 1);');
+        assert.include(this.page.opts.data.sections[0], '<code class="lang-output">2');
+        done();
+      }.bind(this));
+    });
+
+    it('Should rewrite asset urls relative to the page when `opts.assets` is set.', function (done) {
+      this.page.opts.assets = true;
+      this.page.page.fileName = 'guide/index.html';
+      this.page.page.sections = ['media/guide.md'];
+
+      this.page._addSections(function (err) {
+        var contents = this.page.opts.data.sections[0];
+        assert.include(contents, '<img src="../assets/media/img/arch.png" alt="diagram" title="Architecture">');
+        assert.include(contents, '<a href="../assets/files/notes.txt?v=1#top">notes</a>');
+        assert.include(contents, '<a href="other.html">page</a>');
+        assert.include(contents, '<a href="http://example.com/logo.png">remote</a>');
+        assert.deepEqual(_.keys(this.page.assets), ['assets/media/img/arch.png', 'assets/files/notes.txt']);
+        done();
+      }.bind(this));
+    });
+
+    it('Should add content hashes to asset filenames.', function (done) {
+      this.page.opts.assets = { dir: 'static', hash: true };
+      this.page.page.sections = ['media/guide.md'];
+
+      this.page._addSections(function (err) {
+        assert.match(this.page.opts.data.sections[0], /src="static\/media\/img\/arch\.[0-9a-f]{8}\.png"/);
+        done();
+      }.bind(this));
+    });
+
+    it('Should execute callback with error for missing assets.', function (done) {
+      this.page.opts.assets = true;
+      this.page.page.sections = ['media/broken.md'];
+
+      this.page._addSections(function (err) {
+        assert.equal(err.stage, 'assets');
+        assert.equal(err.section, 'media/broken.md');
+        assert.equal(err.code, 'ENOENT');
+        assert.match(err.message, /missing asset img\/missing\.png$/);
+        done();
+      }.bind(this));
+    });
+
+    it('Should exclude localized sections from glob patterns.', function (done) {
+      this.page.opts.locales = ['en', 'fr'];
+      this.page.page.sections = ['section-*.md'];
+
+      this.page._addSections(function (err) {
+        assert.deepEqual(_.pluck(this.page.built, 'key'), ['section-2.md']);
+        done();
+      }.bind(this));
+    });
+
+    it('Should keep localized sections listed explicitly.', function (done) {
+      this.page.opts.locales = ['en', 'fr'];
+      this.page.page.sections = ['section-*.md', 'section-2.fr.md'];
+
+      this.page._addSections(function (err) {
+        assert.deepEqual(_.pluck(this.page.built, 'key'), ['section-2.md', 'section-2.fr.md']);
+        done(err);
+      }.bind(this));
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * _buildIsolated()
+   * -------------------------------------------------------------------------*/
+
+  describe('_buildIsolated()', function () {
+
+    var builds;
+
+    var count = function (contents, context, callback) {
+      builds++;
+      callback(null, contents);
+    };
+
+    beforeEach(function () {
+      builds = 0;
+
+      this.createPage = function (contents) {
+        var page = createPage({
+          cacheDir: './cache',
+          data: { title: 'Title' },
+          contents: { 'cached.count.md': contents }
+        });
+
+        page.registerTransformer('count', count);
+        return page;
+      };
+    });
+
+    afterEach(function () {
+      rimraf.sync('./test/fixtures/cache');
+    });
+
+    it('Should serve unchanged sections from `opts.cacheDir`.', function (done) {
+      var first = this.createPage('# Cached');
+
+      async.series([
+        first._hashBuild,
+        async.apply(first._buildIsolated, 'cached.count.md')
+      ], function (err) {
+        var second = this.createPage('# Cached');
+
+        async.series([
+          second._hashBuild,
+          async.apply(second._buildIsolated, 'cached.count.md')
+        ], function (err, results) {
+          assert.equal(builds, 1);
+          assert.equal(results[1].history[0].slug, 'cached');
+          assert.include(results[1].contents, 'id="cached"');
+          done();
+        });
+      }.bind(this));
+    });
+
+    it('Should rebuild sections whose contents changed.', function (done) {
+      var first = this.createPage('# Cached');
+
+      async.series([
+        first._hashBuild,
+        async.apply(first._buildIsolated, 'cached.count.md')
+      ], function (err) {
+        var second = this.createPage('# Changed');
+
+        async.series([
+          second._hashBuild,
+          async.apply(second._buildIsolated, 'cached.count.md')
+        ], function (err, results) {
+          assert.equal(builds, 2);
+          assert.include(results[1].contents, 'id="changed"');
+          done();
+        });
+      }.bind(this));
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * _addLinks()
+   * -------------------------------------------------------------------------*/
+
+  describe('_addLinks()', function () {
+
+    beforeEach(function () {
+      this.page = createPage({
+        data: { title: 'Title' }
+      });
+      this.page.page.sections = ['section-1.md.hbs', 'section-2.md', 'section-4.md.hbs', 'links.md'];
+    });
+
+    it('Should resolve section references.', function (done) {
+      async.series([
+        this.page._addSections,
+        this.page._addLinks
+      ], function (err) {
+        var contents = this.page.opts.data.sections[3];
+        assert.include(contents, '<a href="#title-1">see title</a>');
+        assert.include(contents, '<a href="#title-1">Title</a>');
+        assert.include(contents, '<a href="#meta">Meta</a>');
+        assert.include(contents, '<a href="other.html">plain</a>');
+        done();
+      }.bind(this));
+    });
+
+    it('Should resolve section references in markdown.', function (done) {
+      this.page.opts.compile = false;
+
+      async.series([
+        this.page._addSections,
+        this.page._addLinks
+      ], function (err) {
+        var contents = this.page.opts.data.sections[3];
+        assert.include(contents, '[see title](#title-1) [Title](#title-1) [Meta](#meta)');
+        done();
+      }.bind(this));
+    });
+
+    it('Should collect broken links.', function (done) {
+      async.series([
+        this.page._addSections,
+        this.page._addLinks
+      ], function (err) {
+        assert.notOk(err);
+        assert.deepEqual(this.page.brokenLinks, [
+          { section: 'links.md', link: 'missing.md', reason: 'unknown section' },
+          { section: 'links.md', link: '[[section-2#nope]]', reason: 'unknown heading' }
+        ]);
+        done();
+      }.bind(this));
+    });
+
+    it('Should execute callback with error if `opts.strictLinks` is set.', function (done) {
+      this.page.opts.strictLinks = true;
+
+      async.series([
+        this.page._addSections,
+        this.page._addLinks
+      ], function (err) {
+        var failed = _.findWhere(err.errors.length ? err.errors : [err], {
+          message: 'link failed for links.md: missing.md (unknown section)'
+        });
+
+        assert.instanceOf(err, PageBuildError);
+        assert.ok(failed);
+        assert.equal(failed.stage, 'link');
+        assert.equal(failed.section, 'links.md');
+        assert.equal(failed.path, path.resolve('./test/fixtures/build/docs/links.md'));
+        done();
+      });
+    });
+
+    it('Should not resolve references within code.', function (done) {
+      this.page.opts.strictLinks = true;
+      this.page.opts.contents = {
+        'a.md': '# A\n## Sub',
+        'b.md': [
+          'Link using `[[missing]]` or `[x](a.md#sub)`:',
+          '',
+          '```md',
+          '[[a#sub]] [x](a.md#sub)',
+          '```',
+          '',
+          '[[a#sub]]'
+        ].join('\n')
+      };
+      this.page.page.sections = ['a.md', 'b.md'];
+
+      async.series([
+        this.page._addSections,
+        this.page._addLinks
+      ], function (err) {
+        var section = this.page.opts.data.sections[1];
+
+        assert.notOk(err);
+        assert.include(section, '<code>[[missing]]</code> or <code>[x](a.md#sub)</code>');
+        assert.include(section, '[[a#sub]] [x](a.md#sub)\n</code></pre>');
+        assert.include(section, '<a href="#sub">Sub</a>');
+        done();
+      }.bind(this));
+    });
+
+    it('Should not resolve references within code when `opts.compile` is false.', function (done) {
+      this.page.opts.compile = false;
+      this.page.opts.contents = {
+        'a.md': '# A\n## Sub',
+        'b.md': '`[[a#sub]]`\n\n~~~md\n[x](a.md#sub)\n~~~\n\n[x](a.md#sub)'
+      };
+      this.page.page.sections = ['a.md', 'b.md'];
+
+      async.series([
+        this.page._addSections,
+        this.page._addLinks
+      ], function (err) {
+        assert.equal(this.page.opts.data.sections[1], '`[[a#sub]]`\n\n~~~md\n[x](a.md#sub)\n~~~\n\n[x](#sub)');
+        done(err);
+      }.bind(this));
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * _addOutline()
+   * -------------------------------------------------------------------------*/
+
+  describe('_addOutline()', function () {
+
+    beforeEach(function () {
+      this.page = createPage();
+
+      // outline requires existing sections
+      this.page.opts.data.sections = [
+        '<h1>H1 - 1</h1>',
+        '<h2>H2 - 1</h2>',
+        '<h1>H1 - 2</h1>'
+      ];
+    });
+
+    it('Should add `outline` property to `opts.data`.', function (done) {
+      this.page._addOutline(function (err) {
+        var outline = this.page.opts.data.outline;
+        assert.equal(outline[0].text, 'H1 - 1');
+        assert.equal(outline[0].children[0].text, 'H2 - 1');
+        assert.equal(outline[1].text, 'H1 - 2');
+
+        done();
+      }.bind(this));
+    });
+
+    it('Should add markdown `outline` when `opts.compile` is false.', function (done) {
+      this.page.opts.compile = false;
+      this.page.opts.data.sections = ['# Title\n## Sub', 'Title\n===\n```\n# Code\n```'];
+
+      this.page._addOutline(function (err) {
+        var outline = this.page.opts.data.outline;
+        assert.equal(outline.length, 2);
+        assert.equal(outline[0].children[0].text, 'Sub');
+        assert.equal(outline[1].url, '#title-1');
+        done();
+      }.bind(this));
+    });
+
+    it('Should use compiled heading ids as outline urls.', function (done) {
+      async.series([
+        async.apply(this.page._compileSection, '# Title\n## Sub `code`'),
+        async.apply(this.page._compileSection, '# Title')
+      ], function (err, sections) {
+        this.page.opts.data.sections = sections;
+
+        this.page._addOutline(function (err) {
+          var outline = this.page.opts.data.outline;
+          assert.equal(outline[0].url, '#title');
+          assert.equal(outline[0].children[0].url, '#sub-code');
+          assert.equal(outline[1].url, '#title-1');
+          done();
+        }.bind(this));
+      }.bind(this));
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * _addToc()
+   * -------------------------------------------------------------------------*/
+
+  describe('_addToc()', function () {
+
+    beforeEach(function () {
+      this.page = createPage();
+    });
+
+    it('Should replace markers with an html list.', function (done) {
+      this.page.opts.data.sections = [
+        '<p>[[TOC to=2]]</p>',
+        '<h1><a href="#title"></a>Title</h1>',
+        '<h2><a href="#sub"></a>Sub</h2>\n<h3><a href="#deep"></a>Deep</h3>'
+      ];
+
+      this.page._addToc(function (err) {
+        assert.equal(this.page.opts.data.sections[0], '<ul class="toc"><li><a href="#title">Title</a><ul><li><a href="#sub">Sub</a></li></ul></li></ul>');
+        done();
+      }.bind(this));
+    });
+
+    it('Should replace markers with a markdown list when `opts.compile` is false.', function (done) {
+      this.page.opts.compile = false;
+      this.page.opts.data.sections = ['<!-- toc from=2 -->', '# Title\n## Sub\n### Deep'];
+
+      this.page._addToc(function (err) {
+        assert.equal(this.page.opts.data.sections[0], '- [Sub](#sub)\n  - [Deep](#deep)');
+        done();
+      }.bind(this));
+    });
+
   });
 
 
-
   /* ---------------------------------------------------------------------------
-   * _getSection()
+   * _addSectionObjects()
    * -------------------------------------------------------------------------*/
 
-  describe('_getSection()', function () {
+  describe('_addSectionObjects()', function () {
 
     beforeEach(function () {
       this.page = createPage({
-        contents: { 'existing': 'existing section contents' }
+        data: { title: 'Title' }
       });
     });
 
-    it('Should execute callback with read file contents.', function (done) {
-      this.page._getSection('section-1.md.hbs', function (err, contents) {
-        assert.equal(contents, '# {{ title }}');
+    it('Should add an object per section to `opts.data`.', function (done) {
+      this.page._addData(function (err) {
+        var objects = this.page.opts.data.sectionObjects;
+
+        assert.deepEqual(_.pluck(objects, 'id'), ['section-1', 'section-2', 'section-3']);
+        assert.deepEqual(_.pluck(objects, 'extension'), ['md.hbs', 'md', 'hbs']);
+        assert.deepEqual(_.pluck(objects, 'html'), this.page.opts.data.sections);
+        assert.deepEqual(objects[1].source, {
+          key: 'section-2.md',
+          path: path.resolve('./test/fixtures/build/docs/section-2.md')
+        });
+        assert.equal(objects[1].outline[0].url, '#title-1');
+        assert.equal(objects[2].index, 2);
         done();
-      });
+      }.bind(this));
     });
 
-    it('Should execute callback with `opts.contents` contents.', function (done) {
-      this.page._getSection('existing', function (err, contents) {
-        assert.equal(contents, 'existing section contents');
+    it('Should not reuse heading ids.', function (done) {
+      this.page.opts.contents = { 'title.md': '# Title' };
+      this.page.page.sections = ['title.md'];
+
+      this.page._addData(function (err) {
+        var object = this.page.opts.data.sectionObjects[0];
+        assert.equal(object.id, 'title-1');
+        assert.isNull(object.source.path);
         done();
-      });
+      }.bind(this));
+    });
+
+    it('Should outline markdown sections using page-wide ids.', function (done) {
+      this.page.opts.compile = false;
+      this.page.opts.contents = { 'a.md': '# Title', 'b.md': '# Title' };
+      this.page.page.sections = ['a.md', 'b.md'];
+
+      this.page._addData(function (err) {
+        var objects = this.page.opts.data.sectionObjects;
+        assert.equal(objects[0].outline[0].url, '#title');
+        assert.equal(objects[1].outline[0].url, '#title-1');
+        done();
+      }.bind(this));
+    });
+
+    it('Should wrap sections using `theme.sectionTmpl`.', function (done) {
+      this.page.opts.theme.sectionTmpl = path.resolve(__dirname, './fixtures/build/section.hbs');
+
+      this.page._addData(function (err) {
+        var sections = this.page.opts.data.sections;
+
+        assert.equal(sections[2], '<section id="section-3" class="section-hbs" data-source="section-3.hbs"><h1>Title</h1></section>');
+        assert.equal(this.page.opts.data.sectionObjects[2].html, '<h1>Title</h1>');
+        assert.include(this.page.dependencies(), this.page.opts.theme.sectionTmpl);
+        done();
+      }.bind(this));
     });
 
   });
 
 
   /* ---------------------------------------------------------------------------
-   * _buildSection()
+   * _localeData()
    * -------------------------------------------------------------------------*/
 
-  describe('_buildSection()', function () {
+  describe('_localeData()', function () {
 
-    beforeEach(function () {
-      this.page = createPage({
-        data: { title: 'Title' }
-      });
+    it('Should create a translation per additional locale.', function () {
+      var page = createPage({ locales: ['en', 'fr', 'de'] });
+
+      assert.equal(page.opts.locale, 'en');
+      assert.deepEqual(_.pluck(_.pluck(page.translations, 'opts'), 'locale'), ['fr', 'de']);
+      assert.equal(page.translations[0].opts.dest, path.resolve('./test/fixtures/fr'));
+      assert.lengthOf(page.translations[0].translations, 0);
     });
 
-    it('Should execute callback with templated contents.', function (done) {
-      this.page._buildSection('section-3.hbs', function (err, contents) {
-        assert.equal(contents, '<h1>Title</h1>');
-        done();
-      });
+    it('Should add `locale` and `locales` to `opts.data`.', function () {
+      var page = createPage({ locales: ['en', 'fr'], locale: 'fr' });
+
+      assert.equal(page.opts.data.locale, 'fr');
+      assert.deepEqual(page.opts.data.locales, [
+        { locale: 'en', url: '../test.html', current: false, default: true },
+        { locale: 'fr', url: 'test.html', current: true, default: false }
+      ]);
     });
 
-    it('Should execute callback with compiled contents', function (done) {
-      this.page._buildSection('section-2.md', function (err, contents) {
-        assert.equal(contents, '<h1><a id="title" href="#title" class="anchor" name="title"><span class="header-link"></span></a>Title</h1>');
-        done();
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * _buildOpts()
+   * -------------------------------------------------------------------------*/
+
+  describe('_buildOpts()', function () {
+
+    it('Should load `opts.theme` paths relative to `opts.root`.', function (done) {
+      var page = createPage({
+        theme: './themes/child',
+        data: { tagline: 'Guide' },
+        contents: { 'a.md': '# A' },
+        compile: false
       });
-    });
 
-    it('Should execute callback with templated and compiled contents.', function (done) {
-      this.page._buildSection('section-1.md.hbs', function (err, contents) {
-        assert.equal(contents, '<h1><a id="title" href="#title" class="anchor" name="title"><span class="header-link"></span></a>Title</h1>');
+      page.page.sections = ['a.md'];
+
+      assert.equal(page.opts.data.brand, 'Child');
+      assert.equal(page.opts.data.tagline, 'Guide');
+
+      page.render(function (err, result) {
+        assert.equal(result.contents, '<header class="child">CHILD</header># A<nav>Guide</nav>');
         done();
       });
     });
@@ -176,24 +1331,40 @@ describe('page.js', function () {
 
 
   /* ---------------------------------------------------------------------------
-   * _addSections()
+   * _addSearchIndex()
    * -------------------------------------------------------------------------*/
 
-  describe('_addSections()', function () {
+  describe('_addSearchIndex()', function () {
 
     beforeEach(function () {
       this.page = createPage({
-        data: { title: 'Title' }
+        search: { depth: 1 }
       });
+
+      this.page.opts.data.sections = [
+        '<h1><a id="title" href="#title"></a>Title</h1>\n<p>Intro</p>',
+        '<h2>Sub</h2>\n<p>Details</p>'
+      ];
     });
 
-    it('Should set `sections` property to `opts.data`.', function (done) {
-      this.page._addSections(function (err) {
-        assert.deepEqual(this.page.opts.data.sections, [
-          '<h1><a id="title" href="#title" class="anchor" name="title"><span class="header-link"></span></a>Title</h1>',
-          '<h1><a id="title" href="#title" class="anchor" name="title"><span class="header-link"></span></a>Title</h1>',
-          '<h1>Title</h1>'
-        ]);
+    it('Should add an entry per heading up to `opts.search.depth`.', function (done) {
+      this.page._addSearchIndex(function (err) {
+        assert.deepEqual(this.page.searchIndex, [{
+          url: '#title',
+          id: 'title',
+          title: 'Title',
+          ancestors: [],
+          body: 'Intro Sub Details'
+        }]);
+        done();
+      }.bind(this));
+    });
+
+    it('Should not add entries when `opts.search` is not set.', function (done) {
+      delete this.page.opts.search;
+
+      this.page._addSearchIndex(function (err) {
+        assert.deepEqual(this.page.searchIndex, []);
         done();
       }.bind(this));
     });
@@ -202,29 +1373,93 @@ describe('page.js', function () {
 
 
   /* ---------------------------------------------------------------------------
-   * _addOutline()
+   * _addProvidedData()
    * -------------------------------------------------------------------------*/
 
-  describe('_addOutline()', function () {
+  describe('_addProvidedData()', function () {
 
     beforeEach(function () {
-      this.page = createPage();
+      this.page = createPage({
+        dataDir: './build/data',
+        providers: {
+          changelog: function () {
+            return Promise.resolve('# Changelog');
+          },
+          version: function (callback) {
+            callback(null, this.opts.data.pkg.name);
+          }
+        }
+      });
+    });
 
-      // outline requires existing sections
-      this.page.opts.data.sections = [
-        '<h1>H1 - 1</h1>',
-        '<h2>H2 - 1</h2>',
-        '<h1>H1 - 2</h1>'
-      ];
+    it('Should add `pkg` property to `opts.data`.', function (done) {
+      this.page._addProvidedData(function (err) {
+        assert.deepEqual(this.page.opts.data.pkg, { name: 'test' });
+        done();
+      }.bind(this));
     });
 
-    it('Should add `outline` property to `opts.data`.', function (done) {
-      this.page._addOutline(function (err) {
-        var outline = this.page.opts.data.outline;
-        assert.equal(outline[0].text, 'H1 - 1');
-        assert.equal(outline[0].children[0].text, 'H2 - 1');
-        assert.equal(outline[1].text, 'H1 - 2');
+    it('Should execute callback with error for missing `opts.pkg`.', function (done) {
+      this.page.opts.pkg = 'missing.json';
+
+      this.page._addProvidedData(function (err) {
+        assert.equal(err.code, 'ENOENT');
+        done();
+      });
+    });
+
+    it('Should execute callback with build error for invalid `pkg`.', function (done) {
+      var pkgPath = path.resolve(this.page.opts.root, 'package.json');
+
+      this.page.cache = { contents: {}, compiled: {} };
+      this.page.cache.contents[pkgPath] = '{ "name": ';
+
+      this.page._addProvidedData(function (err) {
+        assert.instanceOf(err, PageBuildError);
+        assert.equal(err.path, pkgPath);
+        assert.equal(err.stage, 'read');
+        assert.instanceOf(err.cause, SyntaxError);
+        done();
+      });
+    });
+
+    it('Should execute callback with build error for invalid data files.', function (done) {
+      var dataPath = path.resolve(this.page.opts.dataDir, 'nav.yml');
+
+      this.page.cache = { contents: {}, compiled: {} };
+      this.page.cache.contents[dataPath] = 'links: [home';
 
+      this.page._addProvidedData(function (err) {
+        assert.instanceOf(err, PageBuildError);
+        assert.equal(err.path, dataPath);
+        assert.equal(err.stage, 'read');
+        assert.match(err.message, /^read failed for .*nav\.yml:\d+/);
+        done();
+      });
+    });
+
+    it('Should add data files to `opts.data` by basename.', function (done) {
+      this.page._addProvidedData(function (err) {
+        var data = this.page.opts.data;
+        assert.deepEqual(data.author, { name: 'Jane' });
+        assert.deepEqual(data.nav, { links: ['home', 'docs'] });
+        assert.deepEqual(data.tags, ['v0.2.0', 'v0.1.0']);
+        assert.notOk(data.notes);
+        done();
+      }.bind(this));
+    });
+
+    it('Should add provider results to `opts.data`.', function (done) {
+      this.page._addProvidedData(function (err) {
+        assert.equal(this.page.opts.data.changelog, '# Changelog');
+        assert.equal(this.page.opts.data.version, 'test');
+        done();
+      }.bind(this));
+    });
+
+    it('Should track data files as dependencies.', function (done) {
+      this.page._addProvidedData(function (err) {
+        assert.include(this.page.dependencies(), path.resolve('./test/fixtures/build/data/tags.js'));
         done();
       }.bind(this));
     });
@@ -244,7 +1479,7 @@ describe('page.js', function () {
 
     it('Should add `pkg`, `sections`, and `outline` properties to `opts.data`.', function (done) {
       this.page._addData(function (err) {
-        // assert.ok(this.page.opts.data.pkg);
+        assert.ok(this.page.opts.data.pkg);
         assert.ok(this.page.opts.data.sections);
         assert.ok(this.page.opts.data.outline);
         done();
@@ -305,6 +1540,22 @@ describe('page.js', function () {
       });
     });
 
+    it('Should not rewrite unchanged contents.', function (done) {
+      var filePath = './test/fixtures/test.html';
+      var past = new Date(2000, 0, 1);
+
+      fs.writeFileSync(filePath, '<h1>Title</h1>');
+      fs.utimesSync(filePath, past, past);
+
+      this.page._write('<h1>Title</h1>', function (err) {
+        var mtime = fs.statSync(filePath).mtime;
+        fs.unlinkSync(filePath);
+
+        assert.equal(mtime.getTime(), past.getTime());
+        done();
+      });
+    });
+
     it('Should write contents to non existent `opts.dest`.', function (done) {
       this.page.opts.dest = path.resolve(this.page.opts.root, './docs');
 
@@ -320,6 +1571,134 @@ describe('page.js', function () {
   });
 
 
+  /* ---------------------------------------------------------------------------
+   * dependencies()
+   * -------------------------------------------------------------------------*/
+
+  describe('dependencies()', function () {
+
+    beforeEach(function () {
+      this.page = createPage({
+        data: { title: 'Title' }
+      });
+    });
+
+    afterEach(function () {
+      fs.unlinkSync('./test/fixtures/test.html');
+    });
+
+    it('Should return every file read during the last build.', function (done) {
+      this.page.create(function (err) {
+        assert.deepEqual(this.page.dependencies().sort(), [
+          path.resolve('./test/fixtures/build/docs/section-1.md.hbs'),
+          path.resolve('./test/fixtures/build/docs/section-2.md'),
+          path.resolve('./test/fixtures/build/docs/section-3.hbs'),
+          pageTmplPath,
+          path.resolve('./test/fixtures/package.json')
+        ]);
+        done();
+      }.bind(this));
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * rebuild()
+   * -------------------------------------------------------------------------*/
+
+  describe('rebuild()', function () {
+
+    beforeEach(function (done) {
+      this.page = createPage({
+        data: { title: 'Title' }
+      });
+      this.page.cache = { contents: {}, compiled: {} };
+      this.page.create(done);
+
+      this.readFile = _.readFile;
+    });
+
+    afterEach(function () {
+      _.readFile = this.readFile;
+      fs.unlinkSync('./test/fixtures/test.html');
+    });
+
+    it('Should skip rebuild when unaffected.', function (done) {
+      this.page.rebuild([path.resolve('./unrelated.md')], function (err, affected) {
+        assert.isFalse(affected);
+        done();
+      });
+    });
+
+    it('Should only re-read changed files.', function (done) {
+      var reads = [];
+      var readFile = this.readFile;
+      var changed = path.resolve('./test/fixtures/build/docs/section-2.md');
+
+      _.readFile = function (filePath, callback) {
+        reads.push(filePath);
+        readFile(filePath, callback);
+      };
+
+      this.page.rebuild([changed], function (err, affected) {
+        assert.isTrue(affected);
+        assert.deepEqual(reads, [changed]);
+        assert.ok(fs.existsSync('./test/fixtures/test.html'));
+        done();
+      });
+    });
+
+    it('Should drop compiled html not reused by the rebuild.', function (done) {
+      var cache = this.page.cache;
+      var compiled = _.keys(cache.compiled);
+
+      cache.compiled['# Edited'] = { html: '', history: [] };
+
+      this.page.rebuild([path.resolve('./test/fixtures/build/docs/section-2.md')], function (err) {
+        assert.ok(compiled.length);
+        assert.deepEqual(_.keys(cache.compiled).sort(), compiled.sort());
+        done(err);
+      });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * watch()
+   * -------------------------------------------------------------------------*/
+
+  describe('watch()', function () {
+
+    afterEach(function () {
+      this.watcher.close();
+      fs.unlinkSync('./test/fixtures/test.html');
+    });
+
+    it('Should emit `start` and `success` of the initial build.', function (done) {
+      var events = [];
+
+      this.page = createPage({
+        data: { title: 'Title' }
+      });
+
+      this.watcher = this.page.watch()
+        .on('start', function (files) {
+          events.push('start');
+          assert.deepEqual(files, []);
+        })
+        .on('success', function (files) {
+          events.push('success');
+          assert.deepEqual(events, ['start', 'success']);
+          assert.ok(fs.existsSync('./test/fixtures/test.html'));
+          done();
+        });
+    });
+
+  });
+
+
   /* ---------------------------------------------------------------------------
    * create()
    * -------------------------------------------------------------------------*/
@@ -336,13 +1715,19 @@ describe('page.js', function () {
       fs.unlinkSync('./test/fixtures/test.html');
     });
 
+    it('Should return a promise when callback is omitted.', function () {
+      return this.page.create().then(function () {
+        assert.ok(fs.existsSync('./test/fixtures/test.html'));
+      });
+    });
+
     it('Should write rendered/compile contents to `opts.dest`/`page.fileName`.', function (done) {
       this.page.create(function (err) {
         var contents = fs.readFileSync('./test/fixtures/test.html', 'utf8');
 
         var expected = '';
         expected += '<h1><a id="title" href="#title" class="anchor" name="title"><span class="header-link"></span></a>Title</h1>\n';
-        expected += '<h1><a id="title" href="#title" class="anchor" name="title"><span class="header-link"></span></a>Title</h1>\n';
+        expected += '<h1><a id="title-1" href="#title-1" class="anchor" name="title-1"><span class="header-link"></span></a>Title</h1>\n';
         expected += '<h1>Title</h1>\n';
 
         assert.equal(contents, expected);
@@ -350,6 +1735,95 @@ describe('page.js', function () {
       });
     });
 
+    it('Should write search index next to the page.', function (done) {
+      this.page.opts.search = true;
+
+      this.page.create(function (err) {
+        var index = JSON.parse(fs.readFileSync('./test/fixtures/test.search.json', 'utf8'));
+        fs.unlinkSync('./test/fixtures/test.search.json');
+
+        assert.deepEqual(_.pluck(index, 'url'), ['#title', '#title-1', '']);
+        done();
+      });
+    });
+
+    it('Should copy assets to `opts.dest`.', function (done) {
+      this.page.opts.assets = true;
+      this.page.page.sections = ['media/guide.md'];
+
+      this.page.create(function (err) {
+        var copied = fs.readFileSync('./test/fixtures/assets/media/img/arch.png');
+        rimraf.sync('./test/fixtures/assets');
+
+        assert.deepEqual(copied, fs.readFileSync('./test/fixtures/build/docs/media/img/arch.png'));
+        assert.include(this.page.dependencies(), path.resolve('./test/fixtures/build/docs/media/img/arch.png'));
+        done();
+      }.bind(this));
+    });
+
+    it('Should write a page per locale.', function (done) {
+      var page = createPage({
+        locales: ['en', 'fr'],
+        data: { title: 'Title' }
+      });
+
+      page.create(function (err) {
+        var contents = fs.readFileSync('./test/fixtures/fr/test.html', 'utf8');
+        var objects = page.translations[0].opts.data.sectionObjects;
+        rimraf.sync('./test/fixtures/fr');
+
+        assert.include(contents, 'Titre</h1>');
+        assert.deepEqual(_.pluck(objects, 'fallback'), [true, false, true]);
+        assert.include(page.dependencies(), path.resolve('./test/fixtures/build/docs/section-2.fr.md'));
+        done();
+      });
+    });
+
+  });
+
+
+
+  /* ---------------------------------------------------------------------------
+   * render()
+   * -------------------------------------------------------------------------*/
+
+  describe('render()', function () {
+
+    beforeEach(function () {
+      this.page = createPage({
+        data: { title: 'Title' }
+      });
+    });
+
+    it('Should resolve with rendered contents and data without writing.', function () {
+      return this.page.render().then(function (result) {
+        assert.equal(result.contents, '<h1><a id="title" href="#title" class="anchor" name="title"><span class="header-link"></span></a>Title</h1>\n' +
+          '<h1><a id="title-1" href="#title-1" class="anchor" name="title-1"><span class="header-link"></span></a>Title</h1>\n' +
+          '<h1>Title</h1>\n');
+        assert.lengthOf(result.data.sections, 3);
+        assert.lengthOf(result.data.outline, 3);
+        assert.notOk(fs.existsSync('./test/fixtures/test.html'));
+      });
+    });
+
+    it('Should execute callback with rendered contents and data.', function (done) {
+      this.page.render(function (err, result) {
+        assert.include(result.contents, 'Title');
+        assert.ok(result.data.outline);
+        done();
+      });
+    });
+
+    it('Should reject on error.', function () {
+      this.page.page.sections = ['missing.md'];
+
+      return this.page.render().then(function () {
+        throw new Error('expected rejection');
+      }, function (err) {
+        assert.equal(err.code, 'ENOENT');
+      });
+    });
+
   });
 
 });
\ No newline at end of file
@@ -0,0 +1,105 @@
+/*!
+ * test/search-index.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var searchIndex = require('../lib/search-index');
+
+
+/* -----------------------------------------------------------------------------
+ * reusable
+ * ---------------------------------------------------------------------------*/
+
+var markdown = '';
+markdown += 'Preamble\n\n';
+markdown += '# Install\n\n';
+markdown += 'Run `npm install` in the project.\n\n';
+markdown += 'Usage\n-----\n\n';
+markdown += 'Call the *create* method.\n\n';
+markdown += '### Options\n\n';
+markdown += '```\n# not a heading\n```\n\n';
+markdown += '# Install\n\n';
+markdown += 'Again.';
+
+var html = '';
+html += '<h1><a id="api" href="#api" class="anchor" name="api"></a>API</h1>\n';
+html += '<p>Methods &amp; props.</p>\n';
+html += '<h2><a id="create" href="#create" class="anchor" name="create"></a><code>create()</code></h2>\n';
+html += '<p>Write the page.</p>\n';
+html += '<h2>Plain</h2>';
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('search-index.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * build()
+   * -------------------------------------------------------------------------*/
+
+  describe('build()', function () {
+
+    it('Should create an entry per html heading.', function () {
+      assert.deepEqual(searchIndex.build(html), [{
+        id: 'api',
+        title: 'API',
+        ancestors: [],
+        body: 'Methods & props.'
+      }, {
+        id: 'create',
+        title: 'create()',
+        ancestors: ['API'],
+        body: 'Write the page.'
+      }, {
+        id: null,
+        title: 'Plain',
+        ancestors: ['API'],
+        body: ''
+      }]);
+    });
+
+    it('Should create an entry per markdown heading using github ids.', function () {
+      var entries = searchIndex.build(markdown, { markdown: true });
+
+      assert.deepEqual(entries[0], {
+        id: 'install',
+        title: 'Install',
+        ancestors: [],
+        body: 'Run npm install in the project.'
+      });
+      assert.deepEqual(entries[2].ancestors, ['Install', 'Usage']);
+      assert.equal(entries[2].body, '# not a heading');
+      assert.equal(entries[3].id, 'install-1');
+    });
+
+    it('Should include deeper headings in the body of their document.', function () {
+      var entries = searchIndex.build(markdown, { markdown: true, depth: 1 });
+
+      assert.lengthOf(entries, 2);
+      assert.equal(entries[0].body, 'Run npm install in the project. Usage Call the create method. Options # not a heading');
+    });
+
+    it('Should strip default stop words.', function () {
+      var entries = searchIndex.build(markdown, { markdown: true, stopWords: true });
+      assert.equal(entries[0].body, 'Run npm install project.');
+    });
+
+    it('Should strip custom stop words.', function () {
+      var entries = searchIndex.build(markdown, { markdown: true, stopWords: ['run', 'npm'] });
+      assert.equal(entries[0].body, 'install in the project.');
+    });
+
+  });
+
+});
\ No newline at end of file
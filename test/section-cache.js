@@ -0,0 +1,78 @@
+/*!
+ * test/section-cache.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var path = require('path');
+
+// 3rd party
+var assert = require('chai').assert;
+var rimraf = require('rimraf');
+
+// lib
+var SectionCache = require('../lib/section-cache');
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('section-cache.js', function () {
+
+  beforeEach(function () {
+    this.cache = new SectionCache(path.resolve('./test/fixtures/cache'));
+  });
+
+  afterEach(function () {
+    rimraf.sync('./test/fixtures/cache');
+  });
+
+  /* ---------------------------------------------------------------------------
+   * hash()
+   * -------------------------------------------------------------------------*/
+
+  describe('hash()', function () {
+
+    it('Should hash strings and values.', function () {
+      assert.equal(SectionCache.hash('a', { b: 1 }), SectionCache.hash('a', { b: 1 }));
+      assert.notEqual(SectionCache.hash('a', { b: 1 }), SectionCache.hash('a', { b: 2 }));
+    });
+
+    it('Should separate parts.', function () {
+      assert.notEqual(SectionCache.hash('ab', 'c'), SectionCache.hash('a', 'bc'));
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * get()/set()
+   * -------------------------------------------------------------------------*/
+
+  describe('get()/set()', function () {
+
+    it('Should execute callback with null for missing entries.', function (done) {
+      this.cache.get('missing', function (err, entry) {
+        assert.isNull(entry);
+        done();
+      });
+    });
+
+    it('Should retrieve stored entries.', function (done) {
+      this.cache.set('key', { contents: 'a' }, function (err) {
+        this.cache.get('key', function (err, entry) {
+          assert.deepEqual(entry, { contents: 'a' });
+          done();
+        });
+      }.bind(this));
+    });
+
+  });
+
+});
\ No newline at end of file
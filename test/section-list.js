@@ -0,0 +1,120 @@
+/*!
+ * test/section-list.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var fs   = require('fs');
+var path = require('path');
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var sectionList = require('../lib/section-list');
+var frontMatter = require('../lib/front-matter');
+
+
+/* -----------------------------------------------------------------------------
+ * reusable
+ * ---------------------------------------------------------------------------*/
+
+var cwd = path.resolve('./test/fixtures/build/docs');
+
+var read = function (key, callback) {
+  fs.readFile(path.join(cwd, key), 'utf8', function (err, contents) {
+    callback(err, contents && frontMatter.parse(contents).attributes);
+  });
+};
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('section-list.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * expand()
+   * -------------------------------------------------------------------------*/
+
+  describe('expand()', function () {
+
+    it('Should expand patterns sorted by name.', function (done) {
+      sectionList.expand(['glob/*.md'], { cwd: cwd }, function (err, keys) {
+        assert.deepEqual(keys, ['glob/01-intro.md', 'glob/10-api.md', 'glob/2-usage.md']);
+        done();
+      });
+    });
+
+    it('Should keep the position of explicit entries.', function (done) {
+      sectionList.expand(['section-2.md', 'glob/**/*.md', 'glob/10-api.md'], { cwd: cwd }, function (err, keys) {
+        assert.deepEqual(keys, [
+          'section-2.md',
+          'glob/01-intro.md',
+          'glob/2-usage.md',
+          'glob/internal/notes.md',
+          'glob/10-api.md'
+        ]);
+        done();
+      });
+    });
+
+    it('Should exclude files matching `!` patterns.', function (done) {
+      sectionList.expand(['glob/**/*.md', '!glob/internal/**'], { cwd: cwd }, function (err, keys) {
+        assert.notInclude(keys, 'glob/internal/notes.md');
+        assert.lengthOf(keys, 3);
+        done();
+      });
+    });
+
+    it('Should only include files matched by multiple patterns once.', function (done) {
+      sectionList.expand(['glob/1*.md', 'glob/*.md'], { cwd: cwd }, function (err, keys) {
+        assert.deepEqual(keys, ['glob/10-api.md', 'glob/01-intro.md', 'glob/2-usage.md']);
+        done();
+      });
+    });
+
+    it('Should execute callback with directories searched by patterns.', function (done) {
+      sectionList.expand(['section-2.md', 'glob/*.md', 'glob/**/*.md'], { cwd: cwd }, function (err, keys, dirs) {
+        assert.deepEqual(dirs, [
+          path.join(cwd, 'glob'),
+          path.join(cwd, 'glob/internal')
+        ]);
+        done();
+      });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * sort()
+   * -------------------------------------------------------------------------*/
+
+  describe('sort()', function () {
+
+    var keys = ['glob/2-usage.md', 'glob/10-api.md', 'glob/01-intro.md'];
+
+    it('Should sort by numeric prefix.', function (done) {
+      sectionList.sort(keys.concat('glob/readme.md'), { sort: 'number' }, function (err, sorted) {
+        assert.deepEqual(sorted, ['glob/01-intro.md', 'glob/2-usage.md', 'glob/10-api.md', 'glob/readme.md']);
+        done();
+      });
+    });
+
+    it('Should sort by front matter `order`.', function (done) {
+      sectionList.sort(keys, { sort: 'order', read: read }, function (err, sorted) {
+        assert.deepEqual(sorted, ['glob/2-usage.md', 'glob/01-intro.md', 'glob/10-api.md']);
+        done();
+      });
+    });
+
+  });
+
+});
\ No newline at end of file
@@ -0,0 +1,286 @@
+/*!
+ * test/site.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var fs   = require('fs');
+var path = require('path');
+
+// 3rd party
+var _      = require('easy-utils');
+var assert = require('chai').assert;
+var rimraf = require('rimraf');
+
+// lib
+var Site = require('../lib/site');
+
+
+/* -----------------------------------------------------------------------------
+ * reusable
+ * ---------------------------------------------------------------------------*/
+
+var siteTmplPath = path.resolve(__dirname, './fixtures/build/page-site.hbs');
+
+
+/* -----------------------------------------------------------------------------
+ * helpers
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Create and return a new site instance. Includes required opts.
+ */
+var createSite = function (opts) {
+  return new Site([{
+    fileName: 'one.html',
+    sections: ['section-2.md', 'section-3.hbs']
+  }, {
+    fileName: 'two.html',
+    title: 'Second',
+    sections: ['section-1.md.hbs', 'section-2.md']
+  }, {
+    fileName: 'three.html',
+    url: '/three',
+    sections: ['section-2.md']
+  }], _.extend({
+    root: './test/fixtures',
+    dest: './site',
+    data: { title: 'Title' },
+    theme: {
+      pageTmpl: siteTmplPath
+    }
+  }, opts || {}));
+};
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('site.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * Site()
+   * -------------------------------------------------------------------------*/
+
+  describe('Site()', function () {
+
+    it('Should throw if missing required opts.', function () {
+      assert.throws(function () {
+        return new Site([]);
+      }, /missing required opts/);
+    });
+
+    it('Should create a page for every page object.', function () {
+      var site = createSite();
+      assert.equal(site.pages.length, 3);
+      assert.equal(site.pages[1].page.fileName, 'two.html');
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * _addNavigation()
+   * -------------------------------------------------------------------------*/
+
+  describe('_addNavigation()', function () {
+
+    beforeEach(function (done) {
+      this.site = createSite();
+      this.site._addData(done);
+    });
+
+    it('Should add `site` property to every page.', function (done) {
+      this.site._addNavigation(function (err) {
+        var site = this.site.pages[1].opts.data.site;
+        assert.deepEqual(_.pluck(site.pages, 'title'), ['Title', 'Second', 'Title']);
+        assert.deepEqual(_.pluck(site.pages, 'url'), ['one.html', 'two.html', '/three']);
+        assert.deepEqual(_.pluck(site.pages, 'current'), [false, true, false]);
+        assert.equal(site.current.fileName, 'two.html');
+        assert.equal(site.prev.fileName, 'one.html');
+        assert.equal(site.next.fileName, 'three.html');
+        done();
+      }.bind(this));
+    });
+
+    it('Should add combined outline with page prefixed urls.', function (done) {
+      this.site._addNavigation(function (err) {
+        var outline = this.site.pages[0].opts.data.site.outline;
+        assert.equal(outline.length, 3);
+        assert.equal(outline[1].url, 'two.html');
+        assert.equal(outline[1].children[1].url, 'two.html#title-1');
+        assert.equal(outline[2].children[0].url, '/three#title');
+        done();
+      }.bind(this));
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * _addData()
+   * -------------------------------------------------------------------------*/
+
+  describe('_addData()', function () {
+
+    it('Should resolve references to sections on other pages.', function (done) {
+      var site = new Site([{
+        fileName: 'one.html',
+        sections: ['section-1.md.hbs', 'section-2.md']
+      }, {
+        fileName: 'two.html',
+        sections: ['links.md']
+      }], {
+        root: './test/fixtures',
+        data: { title: 'Title' },
+        theme: { pageTmpl: siteTmplPath }
+      });
+
+      site._addData(function (err) {
+        var contents = site.pages[1].opts.data.sections[0];
+        assert.include(contents, '<a href="one.html#title-1">see title</a>');
+        assert.lengthOf(site.pages[1].brokenLinks, 3);
+        done();
+      });
+    });
+
+    it('Should report failures of every page when `opts.collectErrors` is set.', function (done) {
+      var site = new Site([{
+        fileName: 'one.html',
+        sections: ['missing-1.md']
+      }, {
+        fileName: 'two.html',
+        sections: ['section-2.md', 'missing-2.md']
+      }], {
+        root: './test/fixtures',
+        collectErrors: true,
+        theme: { pageTmpl: siteTmplPath }
+      });
+
+      site._addData(function (err) {
+        assert.deepEqual(_.pluck(err.errors, 'section'), ['missing-1.md', 'missing-2.md']);
+        done();
+      });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * create()
+   * -------------------------------------------------------------------------*/
+
+  describe('create()', function () {
+
+    beforeEach(function () {
+      this.site = createSite();
+      this.readFile = _.readFile;
+    });
+
+    afterEach(function () {
+      _.readFile = this.readFile;
+      rimraf.sync('./test/fixtures/site');
+    });
+
+    it('Should write every page with site navigation.', function (done) {
+      this.site.create(function (err) {
+        var contents = fs.readFileSync('./test/fixtures/site/two.html', 'utf8');
+
+        var expected = '';
+        expected += 'Title:one.html\n';
+        expected += 'Second:two.html*\n';
+        expected += 'Title:/three\n';
+        expected += 'prev:one.html next:/three\n';
+        expected += 'Title one.html#title one.html\n';
+        expected += 'Second two.html#title two.html#title-1\n';
+        expected += 'Title /three#title\n';
+
+        assert.equal(contents, expected);
+        assert.ok(fs.existsSync('./test/fixtures/site/one.html'));
+        assert.ok(fs.existsSync('./test/fixtures/site/three.html'));
+        done();
+      });
+    });
+
+    it('Should write a single merged search index.', function (done) {
+      this.site = createSite({ search: true });
+
+      this.site.create(function (err) {
+        var index = JSON.parse(fs.readFileSync('./test/fixtures/site/search.json', 'utf8'));
+
+        assert.notOk(fs.existsSync('./test/fixtures/site/one.search.json'));
+        assert.deepEqual(_.pluck(index, 'url'), [
+          'one.html#title', 'one.html', 'two.html#title', 'two.html#title-1', '/three#title'
+        ]);
+        assert.equal(index[2].page, 'Second');
+        done();
+      });
+    });
+
+    it('Should only read shared files once.', function (done) {
+      var reads = [];
+      var readFile = this.readFile;
+
+      _.readFile = function (filePath, callback) {
+        reads.push(path.basename(filePath));
+        readFile(filePath, callback);
+      };
+
+      this.site.create(function (err) {
+        assert.deepEqual(reads, ['package.json', 'section-2.md', 'section-3.hbs', 'section-1.md.hbs', 'page-site.hbs']);
+        done();
+      });
+    });
+
+    it('Should only compile shared sections once when ids are unchanged.', function (done) {
+      var pages = this.site.pages;
+
+      this.site.create(function (err) {
+        var compiled = pages[0].cache.compiled;
+        assert.equal(_.keys(compiled).length, 1);
+        assert.equal(pages[2].opts.data.sections[0], compiled['# Title'].html);
+        done();
+      });
+    });
+
+  });
+
+
+
+  /* ---------------------------------------------------------------------------
+   * rebuild()
+   * -------------------------------------------------------------------------*/
+
+  describe('rebuild()', function () {
+
+    beforeEach(function (done) {
+      this.site = createSite();
+      this.site.create(done);
+    });
+
+    afterEach(function () {
+      rimraf.sync('./test/fixtures/site');
+    });
+
+    it('Should only rewrite affected pages.', function (done) {
+      var changed = path.resolve('./test/fixtures/build/docs/section-3.hbs');
+
+      this.site.rebuild([changed], function (err, pages) {
+        assert.deepEqual(_.pluck(_.pluck(pages, 'page'), 'fileName'), ['one.html']);
+        done();
+      });
+    });
+
+    it('Should return all dependencies.', function () {
+      assert.lengthOf(this.site.dependencies(), 5);
+    });
+
+  });
+
+});
\ No newline at end of file
@@ -0,0 +1,136 @@
+/*!
+ * test/slugger.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var Slugger = require('../lib/slugger');
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('slugger.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * Slugger.slug()
+   * -------------------------------------------------------------------------*/
+
+  describe('Slugger.slug()', function () {
+
+    it('Should convert text to a github style slug.', function () {
+      assert.equal(Slugger.slug('Hello, World!'), 'hello-world');
+      assert.equal(Slugger.slug('snake_case and-dash'), 'snake_case-and-dash');
+    });
+
+    it('Should preserve unicode letters and numbers.', function () {
+      assert.equal(Slugger.slug('Über uns'), 'über-uns');
+      assert.equal(Slugger.slug('日本語 2'), '日本語-2');
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * Slugger.text()
+   * -------------------------------------------------------------------------*/
+
+  describe('Slugger.text()', function () {
+
+    it('Should strip tags and unescape entities.', function () {
+      assert.equal(Slugger.text('<code>a</code> &amp; <em>b</em>&#39;s'), 'a & b\'s');
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * slug()
+   * -------------------------------------------------------------------------*/
+
+  describe('slug()', function () {
+
+    beforeEach(function () {
+      this.slugger = new Slugger();
+    });
+
+    it('Should de-duplicate slugs.', function () {
+      assert.equal(this.slugger.slug('Title'), 'title');
+      assert.equal(this.slugger.slug('Title'), 'title-1');
+      assert.equal(this.slugger.slug('Title'), 'title-2');
+    });
+
+    it('Should not collide with existing suffixed slugs.', function () {
+      assert.equal(this.slugger.slug('Title 1'), 'title-1');
+      assert.equal(this.slugger.slug('Title'), 'title');
+      assert.equal(this.slugger.slug('Title'), 'title-2');
+    });
+
+    it('Should use custom slug function.', function () {
+      this.slugger = new Slugger(function (text) {
+        return text.toUpperCase();
+      });
+
+      assert.equal(this.slugger.slug('a'), 'A');
+      assert.equal(this.slugger.slug('a'), 'A-1');
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * replay()
+   * -------------------------------------------------------------------------*/
+
+  describe('replay()', function () {
+
+    beforeEach(function () {
+      this.slugger = new Slugger();
+    });
+
+    it('Should register history when slugs match.', function () {
+      assert.isTrue(this.slugger.replay([{ text: 'Title', slug: 'title' }]));
+      assert.equal(this.slugger.slug('Title'), 'title-1');
+    });
+
+    it('Should leave registry untouched when slugs differ.', function () {
+      this.slugger.slug('Other');
+      this.slugger.slug('Title');
+
+      assert.isFalse(this.slugger.replay([
+        { text: 'Other 2', slug: 'other-2' },
+        { text: 'Title', slug: 'title' }
+      ]));
+      assert.equal(this.slugger.history.length, 2);
+      assert.equal(this.slugger.slug('Other 2'), 'other-2');
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * reset()
+   * -------------------------------------------------------------------------*/
+
+  describe('reset()', function () {
+
+    it('Should forget previously generated slugs.', function () {
+      var slugger = new Slugger();
+      slugger.slug('Title');
+      slugger.reset();
+
+      assert.equal(slugger.slug('Title'), 'title');
+    });
+
+  });
+
+});
\ No newline at end of file
@@ -0,0 +1,104 @@
+/*!
+ * test/theme-loader.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var path = require('path');
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var themeLoader = require('../lib/theme-loader');
+
+
+/* -----------------------------------------------------------------------------
+ * reusable
+ * ---------------------------------------------------------------------------*/
+
+var themesDir = path.resolve(__dirname, './fixtures/themes');
+var baseDir   = path.join(themesDir, 'base');
+var childDir  = path.join(themesDir, 'child');
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('theme-loader.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * load()
+   * -------------------------------------------------------------------------*/
+
+  describe('load()', function () {
+
+    it('Should load theme directory relative to dir.', function () {
+      var theme = themeLoader.load('./base', themesDir);
+
+      assert.equal(theme.dir, baseDir);
+      assert.equal(theme.pageTmpl, path.join(baseDir, 'page.hbs'));
+      assert.isUndefined(theme.sectionTmpl);
+      assert.deepEqual(theme.partials, {
+        'header': path.join(baseDir, 'partials/header.hbs'),
+        'nav/item': path.join(baseDir, 'partials/nav/item.hbs')
+      });
+      assert.equal(theme.helpers.shout('a'), 'A');
+      assert.deepEqual(theme.data, { brand: 'Base', tagline: 'Docs' });
+    });
+
+    it('Should override individual parts of parent themes.', function () {
+      var theme = themeLoader.load('./child', themesDir);
+
+      assert.equal(theme.dir, childDir);
+      assert.equal(theme.pageTmpl, path.join(baseDir, 'page.hbs'));
+      assert.equal(theme.partials.header, path.join(childDir, 'partials/header.hbs'));
+      assert.equal(theme.partials['nav/item'], path.join(baseDir, 'partials/nav/item.hbs'));
+      assert.isFunction(theme.helpers.shout);
+      assert.deepEqual(theme.data, { brand: 'Child', tagline: 'Docs' });
+    });
+
+    it('Should extend themes from theme objects.', function () {
+      var theme = themeLoader.load({ extends: './base', partials: { footer: 'footer.hbs' } }, themesDir);
+
+      assert.equal(theme.pageTmpl, path.join(baseDir, 'page.hbs'));
+      assert.equal(theme.partials.footer, 'footer.hbs');
+      assert.ok(theme.partials.header);
+    });
+
+    it('Should return theme objects without parent as is.', function () {
+      var theme = { pageTmpl: 'page.hbs' };
+      assert.equal(themeLoader.load(theme, themesDir), theme);
+    });
+
+    it('Should throw for missing themes.', function () {
+      assert.throws(function () {
+        themeLoader.load('./missing', themesDir);
+      }, /theme not found: .*missing$/);
+
+      assert.throws(function () {
+        themeLoader.load('easy-page-theme-missing', themesDir);
+      }, /theme not found: easy-page-theme-missing/);
+    });
+
+    it('Should throw for themes without page template.', function () {
+      assert.throws(function () {
+        themeLoader.load('./', themesDir);
+      }, /theme is missing a page template/);
+    });
+
+    it('Should throw for inheritance cycles.', function () {
+      assert.throws(function () {
+        themeLoader.load('./loop-a', themesDir);
+      }, /theme inheritance cycle: .*loop-a -> .*loop-b -> .*loop-a/);
+    });
+
+  });
+
+});
\ No newline at end of file
@@ -0,0 +1,116 @@
+/*!
+ * test/toc.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var toc = require('../lib/toc');
+
+
+/* -----------------------------------------------------------------------------
+ * reusable
+ * ---------------------------------------------------------------------------*/
+
+var outline = [{
+  level: 1,
+  text: 'Title',
+  url: '#title',
+  children: [{
+    level: 2,
+    text: 'A & B',
+    url: '#a--b',
+    children: [{ level: 3, text: 'Deep', url: '#deep', children: [] }]
+  }]
+}, {
+  level: 1,
+  text: 'Other',
+  url: '#other',
+  children: []
+}];
+
+var attrs = function (contents) {
+  var result;
+
+  toc.replace(contents, function (parsed) {
+    result = parsed;
+    return '';
+  });
+
+  return result;
+};
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('toc.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * replace()
+   * -------------------------------------------------------------------------*/
+
+  describe('replace()', function () {
+
+    it('Should parse marker attributes.', function () {
+      assert.deepEqual(attrs('[[TOC]]'), {});
+      assert.deepEqual(attrs('[[TOC depth=2 from=2]]'), { depth: 2, from: 2 });
+      assert.deepEqual(attrs('<!-- toc to=3 -->'), { to: 3 });
+    });
+
+    it('Should unwrap markers compiled into a paragraph.', function () {
+      assert.equal(toc.replace('<p>[[TOC]]</p>', function () {
+        return '<ul></ul>';
+      }), '<ul></ul>');
+    });
+
+    it('Should ignore markers within code.', function () {
+      var contents = '<pre><code>[[TOC]]</code></pre>\n```\n<!-- toc -->\n```\n`[[TOC]]`';
+
+      assert.equal(toc.replace(contents, function () {
+        return 'toc';
+      }), contents);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * render()
+   * -------------------------------------------------------------------------*/
+
+  describe('render()', function () {
+
+    it('Should render a nested html list.', function () {
+      assert.equal(toc.render(outline, { depth: 2 }), [
+        '<ul class="toc">',
+          '<li><a href="#title">Title</a><ul><li><a href="#a--b">A &amp; B</a></li></ul></li>',
+          '<li><a href="#other">Other</a></li>',
+        '</ul>'
+      ].join(''));
+    });
+
+    it('Should render a nested markdown list.', function () {
+      assert.equal(toc.render(outline, {}, true), [
+        '- [Title](#title)',
+        '  - [A & B](#a--b)',
+        '    - [Deep](#deep)',
+        '- [Other](#other)'
+      ].join('\n'));
+    });
+
+    it('Should lift headings within the range.', function () {
+      assert.equal(toc.render(outline, { from: 2, to: 2 }, true), '- [A & B](#a--b)');
+    });
+
+  });
+
+});
\ No newline at end of file
@@ -0,0 +1,40 @@
+/*!
+ * test/transformers.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var transformers = require('../lib/transformers');
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('transformers.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * extensions()
+   * -------------------------------------------------------------------------*/
+
+  describe('extensions()', function () {
+
+    it('Should return extensions right-to-left.', function () {
+      assert.deepEqual(transformers.extensions('docs/v1.0/intro.md.hbs'), ['hbs', 'md']);
+    });
+
+    it('Should return empty array for keys without extensions.', function () {
+      assert.deepEqual(transformers.extensions('existing'), []);
+    });
+
+  });
+
+});
\ No newline at end of file
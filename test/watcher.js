@@ -0,0 +1,214 @@
+/*!
+ * test/watcher.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var fs   = require('fs');
+var path = require('path');
+
+// 3rd party
+var assert = require('chai').assert;
+var mkdirp = require('mkdirp');
+var rimraf = require('rimraf');
+
+// lib
+var Watcher = require('../lib/watcher');
+
+
+/* -----------------------------------------------------------------------------
+ * reusable
+ * ---------------------------------------------------------------------------*/
+
+var tmpDir  = path.resolve(__dirname, './fixtures/watch');
+var tmpFile = path.join(tmpDir, 'section.md');
+
+
+/* -----------------------------------------------------------------------------
+ * helpers
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Create and return a fake builder which records builds.
+ */
+var createBuilder = function (err, deps) {
+  var builds = [];
+
+  return {
+    builds: builds,
+    create: function (callback) {
+      builds.push([]);
+      process.nextTick(callback);
+    },
+    rebuild: function (files, callback) {
+      builds.push(files);
+      process.nextTick(function () {
+        callback(err);
+      });
+    },
+    dependencies: function () {
+      return deps || [tmpFile];
+    }
+  };
+};
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('watcher.js', function () {
+
+  var watcher;
+
+  beforeEach(function () {
+    mkdirp.sync(tmpDir);
+    fs.writeFileSync(tmpFile, '# Title');
+  });
+
+  afterEach(function () {
+    watcher.close();
+    rimraf.sync(tmpDir);
+  });
+
+  /* ---------------------------------------------------------------------------
+   * start()
+   * -------------------------------------------------------------------------*/
+
+  describe('start()', function () {
+
+    it('Should create and watch dependencies.', function (done) {
+      var builder = createBuilder();
+
+      watcher = new Watcher(builder).start();
+      watcher.on('success', function (files) {
+        assert.deepEqual(files, []);
+        assert.deepEqual(builder.builds, [[]]);
+        assert.ok(watcher.watchers[tmpFile]);
+        done();
+      });
+    });
+
+    it('Should emit `start` to listeners attached after starting.', function (done) {
+      var events = [];
+
+      watcher = new Watcher(createBuilder()).start();
+      watcher.on('start', function (files) {
+        events.push('start');
+      });
+      watcher.on('success', function (files) {
+        assert.deepEqual(events, ['start']);
+        done();
+      });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * _change()
+   * -------------------------------------------------------------------------*/
+
+  describe('_change()', function () {
+
+    it('Should batch changes into a single rebuild.', function (done) {
+      var builder = createBuilder();
+      var events  = [];
+
+      watcher = new Watcher(builder, { delay: 10 });
+      watcher.on('start', function (files) {
+        events.push('start');
+      });
+      watcher.on('success', function (files) {
+        events.push('success');
+
+        if (files.length) {
+          assert.deepEqual(files, [tmpFile, '/other']);
+          assert.deepEqual(events, ['start', 'success', 'start', 'success']);
+          done();
+        }
+      });
+
+      watcher.once('success', function () {
+        watcher._change(tmpFile);
+        watcher._change('/other');
+        watcher._change(tmpFile);
+      });
+
+      watcher.start();
+    });
+
+    it('Should emit `error` when rebuild fails.', function (done) {
+      watcher = new Watcher(createBuilder(new Error('fail')), { delay: 10 });
+      watcher.on('error', function (err) {
+        assert.equal(err.message, 'fail');
+        done();
+      });
+
+      watcher.once('success', function () {
+        watcher._change(tmpFile);
+      });
+
+      watcher.start();
+    });
+
+    it('Should rebuild when a watched file changes on disk.', function (done) {
+      var builder = createBuilder();
+
+      watcher = new Watcher(builder, { delay: 10 });
+      watcher.on('success', function (files) {
+        if (files.length) {
+          assert.deepEqual(files, [tmpFile]);
+          done();
+        }
+      });
+
+      watcher.once('success', function () {
+        fs.writeFileSync(tmpFile, '# Changed');
+      });
+
+      watcher.start();
+    });
+
+    it('Should rebuild when a file is added to a watched directory.', function (done) {
+      var builder = createBuilder(null, [tmpDir]);
+
+      watcher = new Watcher(builder, { delay: 10 });
+      watcher.on('success', function (files) {
+        if (files.length) {
+          assert.deepEqual(files, [tmpDir]);
+          done();
+        }
+      });
+
+      watcher.once('success', function () {
+        fs.writeFileSync(path.join(tmpDir, 'added.md'), '# Added');
+      });
+
+      watcher.start();
+    });
+
+    it('Should not rebuild when a file within a watched directory is edited.', function (done) {
+      var builder = createBuilder(null, [tmpDir]);
+
+      watcher = new Watcher(builder, { delay: 10 });
+      watcher.once('success', function () {
+        fs.writeFileSync(tmpFile, '# Changed');
+
+        setTimeout(function () {
+          assert.deepEqual(builder.builds, [[]]);
+          done();
+        }, 100);
+      });
+
+      watcher.start();
+    });
+
+  });
+
+});
\ No newline at end of file
@@ -0,0 +1,77 @@
+/*!
+ * test/write-changed.js
+ * 
+ * Copyright (c) 2014
+ */
+
+/* -----------------------------------------------------------------------------
+ * dependencies
+ * ---------------------------------------------------------------------------*/
+
+// core
+var fs = require('fs');
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var writeChanged = require('../lib/write-changed');
+
+
+/* -----------------------------------------------------------------------------
+ * reusable
+ * ---------------------------------------------------------------------------*/
+
+var filePath = './test/fixtures/changed.txt';
+
+
+/* -----------------------------------------------------------------------------
+ * test
+ * ---------------------------------------------------------------------------*/
+
+describe('write-changed.js', function () {
+
+  afterEach(function () {
+    fs.unlinkSync(filePath);
+  });
+
+  it('Should write missing files.', function (done) {
+    writeChanged(filePath, 'contents', function (err, written) {
+      assert.isTrue(written);
+      assert.equal(fs.readFileSync(filePath, 'utf8'), 'contents');
+      done();
+    });
+  });
+
+  it('Should write changed files.', function (done) {
+    fs.writeFileSync(filePath, 'old');
+
+    writeChanged(filePath, 'new', function (err, written) {
+      assert.isTrue(written);
+      assert.equal(fs.readFileSync(filePath, 'utf8'), 'new');
+      done();
+    });
+  });
+
+  it('Should not write unchanged files.', function (done) {
+    fs.writeFileSync(filePath, 'same');
+
+    writeChanged(filePath, 'same', function (err, written) {
+      assert.isFalse(written);
+      done();
+    });
+  });
+
+  it('Should compare binary contents.', function (done) {
+    var contents = fs.readFileSync('./test/fixtures/build/docs/media/img/arch.png');
+
+    writeChanged(filePath, contents, function (err, written) {
+      writeChanged(filePath, contents, function (err, written) {
+        assert.isFalse(written);
+        assert.deepEqual(fs.readFileSync(filePath), contents);
+        done();
+      });
+    });
+  });
+
+});
\ No newline at end of file